@@ -10,6 +10,13 @@ const multer = require('multer');
 const authRoutes = require('./routes/auth');
 const birthdayRoutes = require('./routes/birthdays');
 const notificationRoutes = require('./routes/notifications');
+const calendarRoutes = require('./routes/calendar');
+const pushRoutes = require('./routes/push');
+const webhookRoutes = require('./routes/webhooks');
+const imageRoutes = require('./routes/images');
+const groupRoutes = require('./routes/groups');
+const adminRoutes = require('./routes/admin');
+const { stopScheduler } = require('./services/jobScheduler');
 
 const app = express();
 
@@ -58,7 +65,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'X-Total-Count', 'X-Page', 'X-Per-Page', 'X-Total-Pages'],
   maxAge: 86400 // 24 hours
 };
 
@@ -94,36 +101,34 @@ if (!fs.existsSync(uploadsDir)) {
   console.log(`📁 Created uploads directory: ${uploadsDir}`);
 }
 
-// Serve static files
-app.use('/api/uploads', express.static(uploadsDir, {
-  setHeaders: (res, filePath) => {
-    // Add CORS headers for images
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-}));
+// Uploaded images are not served statically; see routes/images.js
 
 // -------------------- Debug Routes --------------------
-app.get('/api/debug-uploads', (req, res) => {
-  if (!fs.existsSync(uploadsDir)) {
-    return res.json({ 
-      error: 'Uploads folder not found', 
-      path: uploadsDir,
-      message: 'Create an uploads folder in your project root'
+const { protect } = require('./middleware/auth');
+const Birthday = require('./models/Birthday');
+const { getStorage } = require('./services/storage');
+const { getImageFiles } = require('./services/imageService');
+
+// The signed-in user's stored photos and whether each file exists
+app.get('/api/debug-uploads', protect, async (req, res) => {
+  try {
+    const birthdays = await Birthday.find({ user: req.user.id, image: { $ne: null } }).select('image imageVariants');
+    const storage = getStorage();
+    const files = await Promise.all(
+      birthdays.flatMap(getImageFiles).map(async key => ({ key, exists: Boolean(await storage.stat(key)) }))
+    );
+
+    res.json({
+      message: 'Your uploaded files',
+      driver: storage.name,
+      count: files.length,
+      missing: files.filter(file => !file.exists).length,
+      files: files.slice(0, 20)
     });
+  } catch (error) {
+    console.error('Error listing uploads:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-
-  const files = fs.readdirSync(uploadsDir);
-  res.json({
-    message: 'Uploads folder contents',
-    path: uploadsDir,
-    count: files.length,
-    files: files.slice(0, 20),
-    corsInfo: {
-      allowedOrigins: productionOrigins,
-      localhostAllowed: true,
-      environment: process.env.NODE_ENV || 'development'
-    }
-  });
 });
 
 // CORS test endpoint
@@ -156,9 +161,27 @@ mongoose.connect(process.env.MONGO_URI, {
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   
-  // Start birthday notification scheduler
+  // Start notification delivery and birthday schedulers
+  const { scheduleDeliverySweep } = require('./services/deliveryService');
+  const { scheduleWebhookDeliveries } = require('./services/webhookService');
+  const { scheduleUploadReconciliation } = require('./services/imageService');
   const { scheduleBirthdayChecks } = require('./services/birthdayService');
+  const { registerBroadcastJob, promoteConfiguredAdmins } = require('./services/adminService');
+  scheduleDeliverySweep();
+  scheduleWebhookDeliveries();
+  scheduleUploadReconciliation();
+  registerBroadcastJob();
   scheduleBirthdayChecks();
+
+  promoteConfiguredAdmins().catch(error => {
+    console.error('Error promoting ADMIN_EMAILS users:', error);
+  });
+
+  // Notifications read before readAt existed would otherwise never expire
+  const Notification = require('./models/Notification');
+  Notification.backfillReadAt().catch(error => {
+    console.error('Error backfilling notification readAt:', error);
+  });
 })
 .catch((err) => {
   console.error('❌ MongoDB connection error:', err.message);
@@ -177,6 +200,12 @@ mongoose.connect(process.env.MONGO_URI, {
 app.use('/api/auth', authRoutes);
 app.use('/api/birthdays', birthdayRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -219,6 +248,12 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       birthdays: '/api/birthdays',
       notifications: '/api/notifications',
+      calendar: '/api/calendar',
+      push: '/api/push',
+      webhooks: '/api/webhooks',
+      images: '/api/images',
+      groups: '/api/groups',
+      admin: '/api/admin',
       health: '/api/health',
       debug: '/api/debug-uploads',
       corsTest: '/api/cors-test'
@@ -316,6 +351,12 @@ app.use('*', (req, res) => {
       auth: '/api/auth/*',
       birthdays: '/api/birthdays/*',
       notifications: '/api/notifications/*',
+      calendar: '/api/calendar/*',
+      push: '/api/push/*',
+      webhooks: '/api/webhooks/*',
+      images: '/api/images/*',
+      groups: '/api/groups/*',
+      admin: '/api/admin/*',
       health: '/api/health',
       debug: '/api/debug-uploads',
       corsTest: '/api/cors-test'
@@ -350,6 +391,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  stopScheduler();
   server.close(() => {
     console.log('HTTP server closed');
     mongoose.connection.close(false, () => {
@@ -361,6 +403,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
+  stopScheduler();
   server.close(() => {
     console.log('HTTP server closed');
     mongoose.connection.close(false, () => {
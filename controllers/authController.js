@@ -1,14 +1,46 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const { isValidTimeZone } = require('../utils/dateUtils');
+const {
+  issueTokens,
+  getRefreshTokenUser,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../services/tokenService');
+const { sendEmail } = require('../utils/emailService');
+const {
+  getAppUrl,
+  getApiUrl,
+  verificationEmailTemplate,
+  passwordResetTemplate
+} = require('../utils/emailTemplates');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
+// Issue a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${getApiUrl()}/api/auth/verify/${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    ...verificationEmailTemplate({ userName: user.name, verifyUrl })
   });
 };
 
+// Digest preferences as shown to the user
+const digestSettings = (user) => {
+  const digest = user.digest || {};
+
+  return {
+    enabled: !!digest.enabled,
+    frequency: digest.frequency,
+    dayOfWeek: digest.dayOfWeek,
+    windowDays: digest.windowDays
+  };
+};
+
 // Register user
 exports.register = async (req, res, next) => {
   try {
@@ -18,7 +50,7 @@ exports.register = async (req, res, next) => {
       hasPassword: !!req.body.password
     });
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     // Validate input
     if (!name || !email || !password) {
@@ -38,20 +70,30 @@ exports.register = async (req, res, next) => {
     }
 
     // Create user
+    // Browsers can send their detected timezone; anything invalid falls back to UTC
     const user = await User.create({
       name,
       email,
-      password
+      password,
+      timezone: isValidTimeZone(timezone) ? timezone : undefined
     });
 
     console.log('User created successfully:', user.email);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed verification email should not fail registration; the user can resend it
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Error sending verification email:', error.message);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user._id, { req });
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -111,16 +153,25 @@ exports.login = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token based on rememberMe preference
-    const token = generateToken(user._id);
+    if (user.isDisabled) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    // rememberMe decides how long the refresh token lives
+    const { token, refreshToken } = await issueTokens(user._id, {
+      rememberMe: rememberMe === true || rememberMe === 'true',
+      req
+    });
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        role: user.role,
         isVerified: user.isVerified
       }
     });
@@ -133,6 +184,67 @@ exports.login = async (req, res, next) => {
   }
 };
 
+// Verify email address
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const verificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      verificationToken,
+      verificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error verifying email' });
+  }
+};
+
+// Resend verification email
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    // Allow one resend per minute (tokens are valid for 24 hours)
+    const lastSentAt = user.verificationExpire
+      ? user.verificationExpire.getTime() - 24 * 60 * 60 * 1000
+      : 0;
+    if (Date.now() - lastSentAt < 60 * 1000) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error sending verification email' });
+  }
+};
+
 // Get current logged in user
 exports.getMe = async (req, res, next) => {
   try {
@@ -144,7 +256,11 @@ exports.getMe = async (req, res, next) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        isVerified: user.isVerified
+        role: user.role,
+        isVerified: user.isVerified,
+        timezone: user.timezone,
+        reminderHour: user.reminderHour,
+        digest: digestSettings(user)
       }
     });
   } catch (error) {
@@ -158,25 +274,66 @@ exports.updateDetails = async (req, res, next) => {
   try {
     const fieldsToUpdate = {
       name: req.body.name,
-      email: req.body.email
+      email: req.body.email,
+      timezone: req.body.timezone,
+      reminderHour: req.body.reminderHour
     };
 
+    // Digest settings are merged field by field: { enabled, frequency, dayOfWeek, windowDays }
+    const digest = req.body.digest || {};
+    ['enabled', 'frequency', 'dayOfWeek', 'windowDays'].forEach(key => {
+      fieldsToUpdate[`digest.${key}`] = digest[key];
+    });
+
+    // Only update the fields that were sent
+    Object.keys(fieldsToUpdate).forEach(key => fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]);
+
+    // A new address has to be verified again
+    const emailChanged = fieldsToUpdate.email !== undefined &&
+      String(fieldsToUpdate.email).trim().toLowerCase() !== req.user.email;
+    if (emailChanged) {
+      fieldsToUpdate.isVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
       new: true,
       runValidators: true
     });
 
+    // As on registration, a failed email does not fail the update; the user can resend it
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error.message);
+      }
+    }
+
     res.status(200).json({
       success: true,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        isVerified: user.isVerified
+        isVerified: user.isVerified,
+        timezone: user.timezone,
+        reminderHour: user.reminderHour,
+        digest: digestSettings(user)
       }
     });
   } catch (error) {
     console.error('Update user error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors
+        ? Object.values(error.errors).map(val => val.message)
+        : [error.message];
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: messages
+      });
+    }
+
     res.status(500).json({ error: 'Server error updating user details' });
   }
 };
@@ -194,12 +351,14 @@ exports.updatePassword = async (req, res, next) => {
     user.password = req.body.newPassword;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Sign out every other device, then start a new session for this one
+    await revokeAllRefreshTokens(user._id);
+    const { token, refreshToken } = await issueTokens(user._id, { req });
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -213,12 +372,143 @@ exports.updatePassword = async (req, res, next) => {
   }
 };
 
+// Forgot password
+exports.forgotPassword = async (req, res, next) => {
+  // Same response whether or not the account exists, so emails can't be probed
+  const response = {
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${getAppUrl()}/reset-password/${resetToken}`;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        ...passwordResetTemplate({ userName: user.name, resetUrl })
+      });
+    } catch (error) {
+      // Answer as usual: a 500 here would reveal that the account exists
+      console.error('Error sending password reset email:', error.message);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error requesting password reset' });
+  }
+};
+
+// Reset password
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const resetPasswordToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    // Saving the new password also sets passwordChangedAt, which invalidates
+    // every access token issued before now; refresh tokens are revoked below
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+    await revokeAllRefreshTokens(user._id);
+
+    const { token, refreshToken } = await issueTokens(user._id, { req });
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isVerified: user.isVerified
+      }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error resetting password' });
+  }
+};
+
+// Refresh access token
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Please provide a refresh token' });
+    }
+
+    const userId = await getRefreshTokenUser(refreshToken);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    // Check the account first so a disabled one never gets a new token
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Not authorized, user not found' });
+    }
+
+    if (user.isDisabled) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error refreshing token' });
+  }
+};
+
 // Logout user
 exports.logout = async (req, res, next) => {
   try {
-    // Since JWT is stateless, we can't invalidate it on the server
-    // The client simply needs to remove the token
-    // If you're using cookies, you can clear them
+    // Revoke the refresh token of this device; the short-lived access
+    // token simply expires on its own
+    if (req.body && req.body.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken);
+    }
+
     res.cookie('token', 'none', {
       expires: new Date(Date.now() + 10 * 1000), // Expire in 10 seconds
       httpOnly: true,
@@ -234,4 +524,23 @@ exports.logout = async (req, res, next) => {
     console.error('Logout error:', error);
     res.status(500).json({ error: 'Server error during logout' });
   }
+};
+
+// Logout from all devices
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeAllRefreshTokens(req.user.id);
+
+    // Also reject access tokens that are still within their lifetime
+    await User.findByIdAndUpdate(req.user.id, { sessionsRevokedAt: Date.now() - 1000 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessionsRevoked: revoked
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Server error during logout' });
+  }
 };
\ No newline at end of file
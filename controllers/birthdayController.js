@@ -1,4 +1,7 @@
 const Birthday = require('../models/Birthday');
+const { importBirthdays } = require('../services/importService');
+const { EXPORT_FORMATS, streamBirthdayExport } = require('../services/exportService');
+const { listUpcomingBirthdays } = require('../services/birthdayQueryService');
 
 // Get all birthdays for a user
 exports.getBirthdays = async (req, res, next) => {
@@ -123,28 +126,113 @@ exports.deleteBirthday = async (req, res, next) => {
   }
 };
 
-// Get upcoming birthdays
+// Get upcoming birthdays (matched on month/day, so the birth year does not matter)
 exports.getUpcomingBirthdays = async (req, res, next) => {
   try {
-    const today = new Date();
-    const nextMonth = new Date();
-    nextMonth.setMonth(today.getMonth() + 1);
-    
-    const birthdays = await Birthday.find({
-      user: req.user.id,
-      date: {
-        $gte: today,
-        $lte: nextMonth
-      }
-    }).sort({ date: 1 });
-    
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+
+    if (!Number.isInteger(days) || days < 0 || days > 366) {
+      return res.status(400).json({ error: 'days must be a whole number between 0 and 366' });
+    }
+
+    const upcoming = await Promise.all((await listUpcomingBirthdays(req.user, days))
+      .map(async ({ birthday, ...next }) => ({ ...await birthday.withImageUrls(), ...next })));
+
     res.status(200).json({
       success: true,
-      count: birthdays.length,
-      data: birthdays
+      days,
+      count: upcoming.length,
+      data: upcoming
     });
   } catch (error) {
     console.error('Get upcoming birthdays error:', error);
     res.status(500).json({ error: 'Server error fetching upcoming birthdays' });
   }
+};
+
+// Import birthdays from CSV, vCard or a JSON export (multipart "file" or raw "content" field)
+exports.importBirthdays = async (req, res, next) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Please upload a CSV, vCard or JSON file' });
+    }
+
+    // Infer the format from the file name when it isn't given explicitly
+    let format = (req.body.format || req.query.format || '').toLowerCase();
+    if (!format) {
+      const fileName = req.file ? req.file.originalname.toLowerCase() : '';
+      if (/\.(vcf|vcard)$/.test(fileName) || /^\s*BEGIN:VCARD/i.test(content)) {
+        format = 'vcf';
+      } else if (/\.json$/.test(fileName) || /^\s*[[{]/.test(content)) {
+        format = 'json';
+      } else {
+        format = 'csv';
+      }
+    }
+    if (format === 'vcard') format = 'vcf';
+
+    let mapping = req.body.mapping;
+    if (typeof mapping === 'string' && mapping.trim()) {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'mapping must be a JSON object, e.g. {"name":"Full Name","date":"DOB"}' });
+      }
+    }
+
+    const dryRun = [req.body.dryRun, req.query.dryRun].some(value => value === true || value === 'true');
+
+    const result = await importBirthdays(req.user.id, {
+      content,
+      format,
+      mapping: mapping && typeof mapping === 'object' ? mapping : undefined,
+      dateFormat: req.body.dateFormat || undefined,
+      dryRun
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import birthdays error:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Server error importing birthdays' });
+  }
+};
+
+// Export all birthdays as CSV, JSON or vCard (?format=csv|json|vcf&photos=link|embed|none)
+exports.exportBirthdays = async (req, res, next) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    const photos = (req.query.photos || 'link').toLowerCase();
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'format must be one of csv, json or vcf' });
+    }
+    if (!['link', 'embed', 'none'].includes(photos)) {
+      return res.status(400).json({ error: 'photos must be one of link, embed or none' });
+    }
+
+    await streamBirthdayExport(res, req.user, {
+      format,
+      photos,
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+  } catch (error) {
+    console.error('Export birthdays error:', error);
+
+    // Once streaming has started the status is already 200: drop the
+    // connection so the client sees a failed download, not a truncated file
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Server error exporting birthdays' });
+  }
 };
\ No newline at end of file
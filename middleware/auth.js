@@ -24,6 +24,20 @@ exports.protect = async (req, res, next) => {
       if (!req.user) {
         return res.status(401).json({ error: 'Not authorized, user not found' });
       }
+
+      // Reject tokens issued before the password was last changed or reset
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({ error: 'Not authorized, password was changed. Please log in again' });
+      }
+
+      // Reject tokens issued before the user logged out of all devices
+      if (req.user.revokedSessionsAfter(decoded.iat)) {
+        return res.status(401).json({ error: 'Not authorized, session was revoked. Please log in again' });
+      }
+
+      if (req.user.isDisabled) {
+        return res.status(403).json({ error: 'This account has been disabled' });
+      }
       
       next();
     } catch (error) {
@@ -34,4 +48,23 @@ exports.protect = async (req, res, next) => {
     console.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Server error in authentication' });
   }
+};
+
+// Grant access to specific roles (use after protect)
+exports.authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: `User role ${req.user.role} is not authorized to access this route` });
+    }
+    next();
+  };
+};
+
+// Protect streaming routes. Browsers' EventSource cannot send headers,
+// so the access token may also be passed as ?access_token=
+exports.protectStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  return exports.protect(req, res, next);
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// middleware/imageUpload.js
+const multer = require('multer');
+const {
+  processImage,
+  getImageFiles,
+  deleteImageFiles,
+  getStorageUsage
+} = require('../services/imageService');
+
+// Keep the upload in memory; only processed variants are written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  // Cheap early reject; the real check is on the file's magic bytes
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Validate and process an optional "image" field, enforcing the user's quota.
+// On success req.image is { image, imageVariants, imageBytes } for the Birthday
+// document. If the route then answers with an error, the files are removed again.
+const processUpload = async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    const image = await processImage(req.file.buffer);
+
+    // The photo being replaced (PUT /:id) no longer counts once this one is stored
+    const usage = await getStorageUsage(req.user.id, req.params.id);
+    if (usage.used + image.imageBytes > usage.quota) {
+      await deleteImageFiles(getImageFiles(image));
+      return res.status(413).json({
+        message: `Storage quota exceeded: ${Math.round(usage.used / 1024)} KB of ${Math.round(usage.quota / 1024)} KB used`
+      });
+    }
+
+    req.image = image;
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        deleteImageFiles(getImageFiles(image)).catch(() => {});
+      }
+    });
+    next();
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+exports.uploadImage = [upload.single('image'), processUpload];
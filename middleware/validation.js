@@ -12,6 +12,13 @@ exports.handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password policy shared by registration and password reset
+const passwordRule = (field) => body(field)
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character');
+
 // Register validation rules
 exports.validateRegister = [
   body('name')
@@ -26,11 +33,20 @@ exports.validateRegister = [
     .withMessage('Please enter a valid email')
     .normalizeEmail(),
   
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+  passwordRule('password')
+];
+
+// Forgot password validation rules
+exports.validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail()
+];
+
+// Reset password validation rules
+exports.validateResetPassword = [
+  passwordRule('password')
 ];
 
 // Login validation rules
@@ -1,5 +1,7 @@
 // models/Birthday.js
 const mongoose = require('mongoose');
+const { getStorage } = require('../services/storage');
+const { getBirthdayParts } = require('../utils/dateUtils');
 
 const birthdaySchema = new mongoose.Schema({
   name: {
@@ -22,25 +24,75 @@ const birthdaySchema = new mongoose.Schema({
     default: '',
     trim: true
   },
+  // Full-size JPEG variant (or the original file for photos uploaded before variants)
   image: {
     type: String,
     default: null
   },
+  // Bytes on disk for the image and all its variants, counted against the user's quota
+  imageBytes: Number,
+  // Processed variants, see services/imageService.js
+  imageVariants: {
+    thumb: {
+      webp: String,
+      jpeg: String,
+      width: Number,
+      height: Number
+    },
+    full: {
+      webp: String,
+      jpeg: String,
+      width: Number,
+      height: Number
+    }
+  },
   notifyBefore: {
     type: Number,
     default: 7,
     min: [0, 'Notify before cannot be negative'],
     max: [365, 'Notify before cannot exceed 365 days']
   },
+  // Explicit list of days-before offsets; when empty, offsets are derived from notifyBefore
+  reminderOffsets: {
+    type: [{
+      type: Number,
+      min: [0, 'Reminder offsets cannot be negative'],
+      max: [365, 'Reminder offsets cannot exceed 365 days']
+    }],
+    default: undefined,
+    validate: {
+      validator: (offsets) => !offsets || (offsets.length <= 10 && offsets.every(Number.isInteger)),
+      message: 'Reminder offsets must be at most 10 whole numbers of days'
+    }
+  },
   allowNotifications: {
     type: Boolean,
     default: true
   },
+  // Denormalized from date so the scheduler can query by calendar day
+  birthMonth: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  birthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  // Whoever added the birthday (and whose photo quota it uses)
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
     index: true
+  },
+  // Shared list the birthday belongs to; null for the user's own list
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null,
+    index: true
   }
 }, {
   timestamps: true
@@ -49,13 +101,128 @@ const birthdaySchema = new mongoose.Schema({
 // Add index for better query performance
 birthdaySchema.index({ user: 1, date: 1 });
 birthdaySchema.index({ user: 1, name: 1 });
+birthdaySchema.index({ birthMonth: 1, birthDay: 1 });
+
+// Keep birthMonth/birthDay in sync with date
+birthdaySchema.pre('validate', function(next) {
+  if (this.date && (this.isModified('date') || this.birthMonth == null)) {
+    const { month, day } = getBirthdayParts(this.date);
+    this.birthMonth = month;
+    this.birthDay = day;
+  }
+  next();
+});
+
+birthdaySchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const date = update.date !== undefined ? update.date : update.$set && update.$set.date;
+
+  if (date) {
+    const value = new Date(date);
+    if (!isNaN(value)) {
+      const { month, day } = getBirthdayParts(value);
+      this.set({ birthMonth: month, birthDay: day });
+    }
+  }
+  next();
+});
+
+// Fill birthMonth/birthDay on documents created before those fields existed
+birthdaySchema.statics.backfillMonthDay = async function() {
+  let updated = 0;
+  const cursor = this.find({ birthMonth: { $exists: false } }).select('date').cursor();
+
+  for await (const birthday of cursor) {
+    const { month, day } = getBirthdayParts(birthday.date);
+    await this.collection.updateOne(
+      { _id: birthday._id },
+      { $set: { birthMonth: month, birthDay: day } }
+    );
+    updated++;
+  }
 
-// Virtual for image URL
+  if (updated) {
+    console.log(`Backfilled month/day on ${updated} birthdays`);
+  }
+  return updated;
+};
+
+// Image URLs for a URL resolver (sync for the virtuals, async for pre-signing).
+// Photos uploaded before variants existed fall back to the original file.
+const buildImageUrls = (birthday, resolve) => {
+  if (!birthday.image) {
+    return { imageUrl: null, thumbnailUrl: null, imageUrls: null };
+  }
+
+  const variants = birthday.imageVariants || {};
+  const variantUrls = (name) => {
+    const variant = variants[name];
+    return variant && variant.jpeg
+      ? { webp: resolve(variant.webp), jpeg: resolve(variant.jpeg), width: variant.width, height: variant.height }
+      : { webp: null, jpeg: resolve(birthday.image) };
+  };
+
+  const imageUrls = { thumb: variantUrls('thumb'), full: variantUrls('full') };
+
+  return {
+    imageUrl: resolve(birthday.image),
+    thumbnailUrl: imageUrls.thumb.webp || imageUrls.thumb.jpeg,
+    imageUrls
+  };
+};
+
+// Virtual for image URL (null when the storage backend needs signed URLs,
+// use withImageUrls() for those)
 birthdaySchema.virtual('imageUrl').get(function() {
-  if (!this.image) return null;
-  return `/uploads/${this.image}`;
+  return buildImageUrls(this, key => getStorage().getPublicUrl(key)).imageUrl;
 });
 
+// Small square image for lists (the original file for older uploads)
+birthdaySchema.virtual('thumbnailUrl').get(function() {
+  return buildImageUrls(this, key => getStorage().getPublicUrl(key)).thumbnailUrl;
+});
+
+// Every variant URL, e.g. for <picture> with WebP and JPEG sources
+birthdaySchema.virtual('imageUrls').get(function() {
+  return buildImageUrls(this, key => getStorage().getPublicUrl(key)).imageUrls;
+});
+
+// Plain object for API responses with image URLs resolved by the storage
+// backend (public or pre-signed)
+birthdaySchema.methods.withImageUrls = async function() {
+  const storage = getStorage();
+  const keys = [];
+  buildImageUrls(this, key => keys.push(key));
+
+  const urls = new Map(await Promise.all(
+    [...new Set(keys)].map(async key => [key, await storage.getUrl(key)])
+  ));
+
+  return {
+    ...this.toObject(),
+    ...buildImageUrls(this, key => urls.get(key))
+  };
+};
+
+// Default reminder schedule, trimmed to notifyBefore
+const DEFAULT_REMINDER_OFFSETS = [0, 1, 3, 7];
+
+// Days before the birthday on which reminders should fire (empty when muted)
+birthdaySchema.methods.getReminderOffsets = function() {
+  if (this.allowNotifications === false) return [];
+
+  let offsets;
+  if (this.reminderOffsets && this.reminderOffsets.length) {
+    offsets = [...this.reminderOffsets];
+  } else {
+    const notifyBefore = this.notifyBefore == null ? 7 : this.notifyBefore;
+    offsets = DEFAULT_REMINDER_OFFSETS.filter(days => days <= notifyBefore);
+    offsets.push(notifyBefore);
+  }
+
+  return [...new Set(offsets)].sort((a, b) => a - b);
+};
+
 // Ensure virtuals are included in JSON and Object
 birthdaySchema.set('toJSON', { virtuals: true });
 birthdaySchema.set('toObject', { virtuals: true });
@@ -0,0 +1,58 @@
+// models/Delivery.js
+const mongoose = require('mongoose');
+
+// One row per notification per channel: what was sent where, and how it went
+const deliverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: true
+  },
+  birthdayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Birthday'
+  },
+  // Registered channel name (inApp, email, push, ...)
+  channel: {
+    type: String,
+    required: true
+  },
+  // Notification type, kept here so the log can be filtered without a join
+  type: String,
+  status: {
+    type: String,
+    enum: ['pending', 'deferred', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When a deferred or failed delivery should be tried again
+  nextAttemptAt: Date,
+  lastError: String,
+  // Channel specific result (message id, recipient, device counts, ...)
+  detail: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sentAt: Date,
+  lastAttemptAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the retry sweep and per-user history
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+deliverySchema.index({ userId: 1, createdAt: -1 });
+deliverySchema.index({ notificationId: 1 });
+
+// The log is for troubleshooting, keep it for 90 days
+deliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Delivery', deliverySchema);
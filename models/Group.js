@@ -0,0 +1,58 @@
+// models/Group.js
+const mongoose = require('mongoose');
+
+// owner: everything, including members and deleting the group (exactly one per group)
+// editor: add, change and remove the group's birthdays
+// viewer: see the birthdays and get reminders for them
+const GROUP_ROLES = ['owner', 'editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: GROUP_ROLES,
+      message: `Role must be one of: ${GROUP_ROLES.join(', ')}`
+    },
+    default: 'viewer'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: (members) => members.filter(member => member.role === 'owner').length === 1,
+      message: 'A group must have exactly one owner'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Find every group of a user
+groupSchema.index({ 'members.user': 1 });
+
+// Role of a user in this group, or null when they are not a member
+groupSchema.methods.getRole = function(userId) {
+  const member = this.members.find(member => String(member.user) === String(userId));
+  return member ? member.role : null;
+};
+
+groupSchema.statics.ROLES = GROUP_ROLES;
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,55 @@
+// models/GroupInvitation.js
+const mongoose = require('mongoose');
+
+// Pending invitation to a group. Accepted, declined and revoked invitations
+// are deleted; unanswered ones expire through the TTL index.
+const groupInvitationSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  // Owners are never invited; ownership is handed over between members
+  role: {
+    type: String,
+    enum: {
+      values: ['editor', 'viewer'],
+      message: 'Role must be editor or viewer'
+    },
+    default: 'viewer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the secret in the invitation link
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One open invitation per address and group; inviting again renews it
+groupInvitationSchema.index({ group: 1, email: 1 }, { unique: true });
+groupInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GroupInvitation', groupInvitationSchema);
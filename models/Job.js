@@ -0,0 +1,58 @@
+// models/Job.js
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Unique per scheduled slot (e.g. "birthday-check:2024-05-01") so that
+  // several instances can never enqueue the same run twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  triggeredBy: {
+    type: String,
+    default: 'scheduler'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for claiming due jobs and listing run history
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+
+// Keep run history for 90 days
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -13,13 +13,15 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['birthday', 'reminder', 'system', 'update'],
+    enum: ['birthday', 'reminder', 'digest', 'system', 'update'],
     default: 'system'
   },
   isRead: {
     type: Boolean,
     default: false
   },
+  // When the notification was marked read; drives automatic expiry
+  readAt: Date,
   birthdayId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Birthday'
@@ -35,5 +37,25 @@ const notificationSchema = new mongoose.Schema({
 // Index for faster queries
 notificationSchema.index({ userId: 1, isRead: 1 });
 notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// Read notifications are removed automatically after a retention period
+// (unread ones have no readAt and are never expired). Kept for at least 3 days.
+const READ_RETENTION_DAYS = Math.max(parseInt(process.env.NOTIFICATION_READ_RETENTION_DAYS, 10) || 30, 3);
+notificationSchema.index({ readAt: 1 }, { expireAfterSeconds: READ_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Set readAt on notifications marked read before that field existed, so the
+// TTL index above expires them too. Uses the last update as the time they were read.
+notificationSchema.statics.backfillReadAt = async function() {
+  const result = await this.collection.updateMany(
+    { isRead: true, readAt: { $exists: false } },
+    [{ $set: { readAt: { $ifNull: ['$updatedAt', '$$NOW'] } } }]
+  );
+
+  if (result.modifiedCount) {
+    console.log(`Backfilled readAt on ${result.modifiedCount} read notifications`);
+  }
+  return result.modifiedCount;
+};
 
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+// models/NotificationEvent.js
+const mongoose = require('mongoose');
+
+// Short-lived log of realtime events, used to replay missed events to
+// reconnecting clients (Last-Event-ID) and to fan out across server instances
+const notificationEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Instance that published the event
+  origin: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationEventSchema.index({ userId: 1, _id: 1 });
+
+// Events are only needed for reconnects, keep them for a day
+notificationEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('NotificationEvent', notificationEventSchema);
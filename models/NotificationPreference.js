@@ -0,0 +1,85 @@
+// models/NotificationPreference.js
+const mongoose = require('mongoose');
+const { getZonedParts } = require('../utils/dateUtils');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Channels used for a notification type until the user chooses otherwise
+const DEFAULT_CHANNELS = {
+  birthday: ['inApp', 'email', 'push', 'webhook'],
+  reminder: ['inApp', 'email', 'push', 'webhook'],
+  digest: ['inApp', 'email'],
+  system: ['inApp'],
+  update: ['inApp']
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Notification type -> channel names; types not listed use DEFAULT_CHANNELS
+  channels: {
+    type: Map,
+    of: [String],
+    default: {}
+  },
+  // Quiet hours in the user's timezone; may wrap past midnight (22:00 - 07:00)
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '22:00',
+      match: [TIME_PATTERN, 'Quiet hours start must be in HH:MM format']
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      match: [TIME_PATTERN, 'Quiet hours end must be in HH:MM format']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.statics.DEFAULT_CHANNELS = DEFAULT_CHANNELS;
+
+// Channel names selected for a notification type
+notificationPreferenceSchema.methods.getChannelsFor = function(type) {
+  const selected = this.channels && this.channels.get(type);
+  return selected ? [...selected] : [...(DEFAULT_CHANNELS[type] || ['inApp'])];
+};
+
+// End of the current quiet period, or null when the user is not in one
+notificationPreferenceSchema.methods.getQuietHoursEnd = function(date = new Date(), timezone = 'UTC') {
+  if (!this.quietHours || !this.quietHours.enabled) return null;
+
+  const start = toMinutes(this.quietHours.start);
+  const end = toMinutes(this.quietHours.end);
+  if (start === end) return null;
+
+  const local = getZonedParts(date, timezone);
+  const now = local.hour * 60 + local.minute;
+  const quiet = start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+
+  if (!quiet) return null;
+
+  const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+  const resumeAt = new Date(date.getTime() + minutesLeft * 60 * 1000);
+  resumeAt.setUTCSeconds(0, 0);
+  return resumeAt;
+};
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
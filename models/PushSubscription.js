@@ -0,0 +1,44 @@
+// models/PushSubscription.js
+const mongoose = require('mongoose');
+
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Push service URL from PushSubscription.toJSON() in the browser
+  endpoint: {
+    type: String,
+    required: [true, 'Subscription endpoint is required'],
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: [true, 'Subscription p256dh key is required']
+    },
+    auth: {
+      type: String,
+      required: [true, 'Subscription auth key is required']
+    }
+  },
+  expirationTime: Date,
+  deviceName: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  userAgent: String,
+  lastSuccessAt: Date,
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
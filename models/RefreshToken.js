@@ -0,0 +1,47 @@
+// models/RefreshToken.js
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the token handed to the client; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token produced by rotating the same login shares a family, so
+  // reuse of an already-rotated token can revoke the whole chain
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  replacedBy: String,
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
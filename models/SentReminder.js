@@ -0,0 +1,41 @@
+// models/SentReminder.js
+const mongoose = require('mongoose');
+
+// Reminders already sent, one per user, birthday, offset and the user's local
+// date. Kept apart from Notification because users can delete those, which
+// must not make the hourly check send the reminder again.
+const sentReminderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  birthday: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Birthday',
+    required: true
+  },
+  daysUntil: {
+    type: Number,
+    required: true
+  },
+  // YYYY-MM-DD in the user's timezone on the day the reminder was due
+  localDate: {
+    type: String,
+    required: true
+  },
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Claiming a reminder is an insert, so concurrent checks cannot both send it
+sentReminderSchema.index({ user: 1, birthday: 1, daysUntil: 1, localDate: 1 }, { unique: true });
+
+// A reminder is only due on one local day; a week covers every timezone
+sentReminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SentReminder', sentReminderSchema);
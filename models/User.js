@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { isValidTimeZone } = require('../utils/dateUtils');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,17 +26,91 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters'],
     select: false
   },
-   birthdays: [{
+  // Legacy: not maintained by the birthdays API, query Birthday by user instead
+  birthdays: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Birthday'
   }],
+  // IANA timezone used to decide what "today" is for this user
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please add a valid IANA timezone (e.g. Europe/London)'
+    }
+  },
+  // Local hour (0-23) at which reminders are delivered
+  reminderHour: {
+    type: Number,
+    default: 8,
+    min: [0, 'Reminder hour must be between 0 and 23'],
+    max: [23, 'Reminder hour must be between 0 and 23']
+  },
+  // Opt-in summary instead of one reminder per birthday and offset
+  digest: {
+    enabled: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    frequency: {
+      type: String,
+      enum: {
+        values: ['daily', 'weekly'],
+        message: 'Digest frequency must be daily or weekly'
+      },
+      default: 'weekly'
+    },
+    // Day a weekly digest is sent on, 0 = Sunday ... 6 = Saturday
+    dayOfWeek: {
+      type: Number,
+      default: 1,
+      min: [0, 'Digest day must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Digest day must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    // How many days ahead a digest looks
+    windowDays: {
+      type: Number,
+      default: 7,
+      min: [1, 'Digest window must be between 1 and 60 days'],
+      max: [60, 'Digest window must be between 1 and 60 days']
+    },
+    // Local date (YYYY-MM-DD) of the last digest, so each is sent once
+    lastSentOn: String
+  },
+  // Admins can use /api/admin; promote the first one with ADMIN_EMAILS
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'admin'],
+      message: 'Role must be user or admin'
+    },
+    default: 'user'
+  },
+  // Disabled accounts cannot log in and get no reminders
+  isDisabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: Date,
   isVerified: {
     type: Boolean,
     default: false
   },
   verificationToken: String,
+  verificationExpire: Date,
   resetPasswordToken: String,
-  resetPasswordExpire: Date
+  resetPasswordExpire: Date,
+  // SHA-256 of the secret in the calendar subscription URL
+  calendarToken: {
+    type: String,
+    index: { unique: true, sparse: true },
+    select: false
+  },
+  calendarTokenCreatedAt: Date,
+  passwordChangedAt: Date,
+  sessionsRevokedAt: Date
 }, {
   timestamps: true
 });
@@ -47,6 +123,12 @@ userSchema.pre('save', async function(next) {
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Tokens issued before this moment are no longer accepted by protect.
+  // Backdated by a second because JWT iat is only precise to the second.
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000;
+  }
 });
 
 // Compare password method
@@ -54,4 +136,45 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate and hash email verification token (valid for 24 hours)
+userSchema.methods.getVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  // Only the hash is stored; the raw token goes out in the email
+  this.verificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.verificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// Generate and hash password reset token (valid for 10 minutes)
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+
+  return resetToken;
+};
+
+// Check whether a JWT (iat in seconds) was issued before the last password change
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Check whether a JWT was issued before "log out of all devices"
+userSchema.methods.revokedSessionsAfter = function(issuedAt) {
+  if (!this.sessionsRevokedAt) return false;
+  return issuedAt * 1000 < this.sessionsRevokedAt.getTime();
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
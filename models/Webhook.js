@@ -0,0 +1,65 @@
+// models/Webhook.js
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = ['birthday.created', 'birthday.updated', 'birthday.deleted', 'reminder.due'];
+
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2048, 'Webhook URL cannot exceed 2048 characters'],
+    match: [/^https?:\/\/\S+$/i, 'Webhook URL must be an http(s) URL']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: `Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Signing secret; needed in plain text to compute signatures
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Failed attempts in a row; reset by any successful delivery
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: Date,
+  disabledReason: String,
+  lastDeliveryAt: Date,
+  lastSuccessAt: Date
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ user: 1, active: 1, events: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,49 @@
+// models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The exact JSON body sent, so every attempt is signed over the same payload
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  responseStatus: Number,
+  // First part of the response body, for troubleshooting
+  responseBody: String,
+  durationMs: Number,
+  lastError: String,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Keep delivery history for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,132 @@
+// routes/admin.js
+// Administration; every route needs a user with the admin role
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const { enqueueJob, getJobHistory } = require('../services/jobScheduler');
+const { BIRTHDAY_CHECK_JOB } = require('../services/birthdayService');
+const {
+  listUsers,
+  getUserDetails,
+  updateUser,
+  deleteUser,
+  broadcastNotification
+} = require('../services/adminService');
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// List and search users (?search=, ?role=user|admin, ?disabled=true|false, ?page=, ?limit=).
+// The body is a plain array; totals are sent in X-Total-Count style headers.
+router.get('/users', async (req, res) => {
+  try {
+    const { users, total, page, limit, totalPages } = await listUsers(req.query);
+
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'X-Total-Pages': String(totalPages)
+    });
+    res.json(users);
+  } catch (error) {
+    sendError(res, error, 'Server error while fetching users');
+  }
+});
+
+router.get('/users/:id', async (req, res) => {
+  try {
+    res.json(await getUserDetails(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Server error while fetching user');
+  }
+});
+
+// Change a user's role and/or disable the account ({ role, disabled })
+router.put('/users/:id', async (req, res) => {
+  try {
+    await updateUser(req.user.id, req.params.id, {
+      role: req.body.role,
+      disabled: req.body.disabled
+    });
+
+    res.json({
+      message: 'User updated successfully',
+      user: await getUserDetails(req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while updating user');
+  }
+});
+
+// Delete an account with its birthdays, notifications, devices and webhooks
+router.delete('/users/:id', async (req, res) => {
+  try {
+    await deleteUser(req.user.id, req.params.id);
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Server error while deleting user');
+  }
+});
+
+// Run the birthday reminder check now instead of waiting for the next hour
+router.post('/jobs/birthday-check', async (req, res) => {
+  try {
+    const job = await enqueueJob(BIRTHDAY_CHECK_JOB, {}, { triggeredBy: `admin:${req.user.id}` });
+
+    res.status(202).json({
+      message: 'Birthday check queued',
+      job
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while queueing birthday check');
+  }
+});
+
+// Scheduler run history, newest first (?name=birthday-check, ?status=failed, ?limit=)
+router.get('/jobs', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    res.json(await getJobHistory({
+      name: req.query.name || undefined,
+      status: req.query.status || undefined,
+      limit
+    }));
+  } catch (error) {
+    sendError(res, error, 'Server error while fetching job history');
+  }
+});
+
+// Send a system or update notification to every active user ({ message, type })
+router.post('/notifications/broadcast', async (req, res) => {
+  try {
+    const job = await broadcastNotification(req.user, {
+      message: req.body.message,
+      type: req.body.type
+    });
+
+    res.status(202).json({
+      message: 'Broadcast queued',
+      job
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while queueing broadcast');
+  }
+});
+
+module.exports = router;
@@ -5,11 +5,23 @@ const {
   getMe,
   updateDetails,
   updatePassword,
-  logout
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logoutAll
 } = require('../controllers/authController');
 
 const { protect } = require('../middleware/auth');
-const { validateRegister, validateLogin, handleValidationErrors } = require('../middleware/validation');
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  handleValidationErrors
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -18,6 +30,13 @@ router.post('/login', validateLogin, handleValidationErrors, login);
 router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
+router.get('/verify/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/forgotpassword', validateForgotPassword, handleValidationErrors, forgotPassword);
+router.put('/resetpassword/:token', validateResetPassword, handleValidationErrors, resetPassword);
+router.post('/refresh', refreshToken);
 router.get('/logout', protect, logout); // Added protect middleware to logout
+router.post('/logout', logout); // Revokes the refresh token in the body, works with an expired access token
+router.post('/logout-all', protect, logoutAll);
 
 module.exports = router;
\ No newline at end of file
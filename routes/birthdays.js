@@ -1,53 +1,117 @@
 // routes/birthdays.js
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs'); // Add this
-const { v4: uuidv4 } = require('uuid');
 const Birthday = require('../models/Birthday');
 const { protect } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/imageUpload');
+const { listBirthdays } = require('../services/birthdayQueryService');
+const { emitWebhookEvent, serializeBirthday } = require('../services/webhookService');
+const { getImageFiles, deleteImageFiles, getStorageUsage } = require('../services/imageService');
+const {
+  EDIT_ROLES,
+  getBirthdayAccess,
+  resolveBirthdayGroup,
+  getBirthdayAudience
+} = require('../services/groupService');
+const {
+  getUpcomingBirthdays,
+  importBirthdays,
+  exportBirthdays
+} = require('../controllers/birthdayController');
 
 const router = express.Router();
 
-// ✅ FIXED: Configure multer to save directly to uploads folder (not birthday-images)
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadsDir = path.join(__dirname, '..', 'uploads');
-    
-    // Create uploads directory if it doesn't exist
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-      console.log('✅ Created uploads directory');
+// Multipart forms send every field as a string, JSON bodies send real booleans
+const parseBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return !(value === false || value === 'false' || value === '0' || value === 0);
+};
+
+// Accepts [0, 3, 14], "0,3,14", "[0,3,14]" or repeated form fields.
+// Returns undefined when not provided, [] to clear, or null when invalid.
+const parseReminderOffsets = (value) => {
+  if (value === undefined) return undefined;
+
+  let offsets = value;
+  if (typeof offsets === 'string') {
+    const trimmed = offsets.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        offsets = JSON.parse(trimmed);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      offsets = trimmed ? trimmed.split(',') : [];
     }
-    
-    // Save directly to uploads folder
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = uuidv4() + path.extname(file.originalname);
-    cb(null, uniqueSuffix);
   }
-});
 
-// File filter for images only
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
+  if (!Array.isArray(offsets)) offsets = [offsets];
+
+  const parsed = offsets.map(offset => Number(String(offset).trim()));
+  if (parsed.some(offset => !Number.isInteger(offset) || offset < 0 || offset > 365)) {
+    return null;
+  }
+
+  return [...new Set(parsed)].sort((a, b) => a - b);
+};
+
+// Load a birthday the user can see (or change, with write) or answer 404/403
+const loadBirthday = async (req, res, { write = false } = {}) => {
+  const access = await getBirthdayAccess(req.user.id, req.params.id);
+
+  if (!access) {
+    res.status(404).json({ message: 'Birthday not found' });
+    return null;
   }
+  if (write && !EDIT_ROLES.includes(access.role)) {
+    res.status(403).json({ message: 'Viewers cannot change birthdays in this group' });
+    return null;
+  }
+
+  return access.birthday;
 };
 
-const upload = multer({
-  storage: storage,
+// Webhooks of everyone the birthday concerns (all members for a group),
+// queued in the background so they never hold up the response
+const emitBirthdayEvent = (birthday, event) => {
+  const data = { birthday: serializeBirthday(birthday) };
+
+  getBirthdayAudience(birthday)
+    .then(users => users.forEach(userId => emitWebhookEvent(userId, event, data)))
+    .catch(error => console.error(`Error emitting ${event} webhooks:`, error));
+};
+
+// Import files are parsed in memory, never written to uploads/
+const importUpload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: 2 * 1024 * 1024 // 2MB limit
   },
-  fileFilter: fileFilter
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|vcf|vcard|json|txt)$/i.test(file.originalname) || /^(text\/|application\/json)/.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, vCard and JSON files can be imported!'), false);
+    }
+  }
 });
 
+// Upload problems (wrong type, too large) are the client's fault: answer 400
+// like the import controller does instead of leaving them to the 500 handler
+const importFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error instanceof multer.MulterError
+      ? (error.code === 'LIMIT_FILE_SIZE' ? 'Import files can be at most 2MB' : error.message)
+      : error.message;
+    res.status(400).json({ error: message });
+  });
+};
+
 // Create a new birthday
-router.post('/', protect, upload.single('image'), async (req, res) => {
+router.post('/', protect, uploadImage, async (req, res) => {
   try {
     const { name, date, relationship, notes, notifyBefore, allowNotifications } = req.body;
     
@@ -58,36 +122,53 @@ router.post('/', protect, upload.single('image'), async (req, res) => {
       });
     }
     
+    const reminderOffsets = parseReminderOffsets(req.body.reminderOffsets);
+    if (reminderOffsets === null) {
+      return res.status(400).json({
+        message: 'Reminder offsets must be whole numbers of days between 0 and 365'
+      });
+    }
+    
+    // Optional shared list; the user must be allowed to edit it
+    const group = await resolveBirthdayGroup(req.user.id, req.body.group);
+    
     // Create new birthday
     const birthday = new Birthday({
       name,
       date,
       relationship: relationship || '',
       notes: notes || '',
-      notifyBefore: notifyBefore || 7,
-      allowNotifications: allowNotifications !== 'false',
-      user: req.user.id
+      notifyBefore: notifyBefore === undefined || notifyBefore === '' ? 7 : notifyBefore,
+      reminderOffsets,
+      allowNotifications: parseBoolean(allowNotifications) !== false,
+      user: req.user.id,
+      group
     });
     
-    // ✅ FIXED: Store only the filename, not the full path
-    if (req.file) {
-      birthday.image = req.file.filename; // Just the filename, not the path
-      console.log(`✅ Image saved as: ${req.file.filename}`);
+    // Store only the processed file names, not paths
+    if (req.image) {
+      birthday.image = req.image.image;
+      birthday.imageVariants = req.image.imageVariants;
+      birthday.imageBytes = req.image.imageBytes;
+      console.log(`✅ Image saved as: ${req.image.image}`);
     }
     
     await birthday.save();
     
+    emitBirthdayEvent(birthday, 'birthday.created');
+    
     res.status(201).json({
       message: 'Birthday added successfully! 🎉',
-      birthday: {
-        ...birthday.toObject(),
-        // Include full URL for frontend
-        imageUrl: req.file ? `/uploads/${req.file.filename}` : null
-      }
+      // Include image URLs resolved by the storage backend
+      birthday: await birthday.withImageUrls()
     });
   } catch (error) {
     console.error('Error adding birthday:', error);
     
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    
     // Return error in the format expected by the frontend
     res.status(500).json({
       message: error.message || 'Failed to add birthday'
@@ -95,46 +176,67 @@ router.post('/', protect, upload.single('image'), async (req, res) => {
   }
 });
 
-// Get all birthdays for the authenticated user
+// Get birthdays for the authenticated user: their own list and their groups'.
+// Supports ?group=<id>|personal, ?search=, ?relationship=, ?month=, ?minAge=, ?maxAge=,
+// ?sort=next|name|age|created&order=asc|desc and ?page=&limit= pagination.
+// The body stays a plain array; totals are sent in X-Total-Count style headers.
 router.get('/', protect, async (req, res) => {
   try {
-    const birthdays = await Birthday.find({ user: req.user.id }).sort({ date: 1 });
-    
-    // Add imageUrl to each birthday for frontend
-    const birthdaysWithUrls = birthdays.map(birthday => {
-      const birthdayObj = birthday.toObject();
-      return {
-        ...birthdayObj,
-        imageUrl: birthday.image ? `/uploads/${birthday.image}` : null
-      };
+    const { birthdays, total, page, limit, totalPages } = await listBirthdays(req.user, req.query);
+    
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'X-Total-Pages': String(totalPages)
     });
     
+    // Add image URLs to each birthday for frontend
+    const birthdaysWithUrls = await Promise.all(birthdays.map(birthday => birthday.withImageUrls()));
+    
     res.json(birthdaysWithUrls);
   } catch (error) {
     console.error('Error fetching birthdays:', error);
+    
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({
       message: error.message || 'Server error while fetching birthdays'
     });
   }
 });
 
+// Bulk import from CSV, vCard or JSON export (?dryRun=true to preview)
+router.post('/import', protect, importFile, importBirthdays);
+
+// Download every birthday for backup or moving to another service
+router.get('/export', protect, exportBirthdays);
+
+// Get birthdays coming up in the next N days (?days=30 by default)
+router.get('/upcoming', protect, getUpcomingBirthdays);
+
+// Photo storage used by the authenticated user, in bytes
+router.get('/storage', protect, async (req, res) => {
+  try {
+    res.json(await getStorageUsage(req.user.id));
+  } catch (error) {
+    console.error('Error fetching storage usage:', error);
+    res.status(500).json({
+      message: 'Server error while fetching storage usage'
+    });
+  }
+});
+
 // Get a specific birthday
 router.get('/:id', protect, async (req, res) => {
   try {
-    const birthday = await Birthday.findOne({ 
-      _id: req.params.id, 
-      user: req.user.id 
-    });
-    
-    if (!birthday) {
-      return res.status(404).json({
-        message: 'Birthday not found'
-      });
-    }
+    const birthday = await loadBirthday(req, res);
+    if (!birthday) return;
     
-    // Add imageUrl for frontend
-    const birthdayWithUrl = birthday.toObject();
-    birthdayWithUrl.imageUrl = birthday.image ? `/uploads/${birthday.image}` : null;
+    // Add image URLs for frontend
+    const birthdayWithUrl = await birthday.withImageUrls();
     
     res.json(birthdayWithUrl);
   } catch (error) {
@@ -146,27 +248,54 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Update a birthday
-router.put('/:id', protect, upload.single('image'), async (req, res) => {
+router.put('/:id', protect, uploadImage, async (req, res) => {
   try {
     const { name, date, relationship, notes, notifyBefore, allowNotifications } = req.body;
     
+    const reminderOffsets = parseReminderOffsets(req.body.reminderOffsets);
+    if (reminderOffsets === null) {
+      return res.status(400).json({
+        message: 'Reminder offsets must be whole numbers of days between 0 and 365'
+      });
+    }
+    
     const updates = {
       name,
       date,
       relationship,
       notes,
       notifyBefore,
-      allowNotifications: allowNotifications !== 'false'
+      reminderOffsets,
+      allowNotifications: parseBoolean(allowNotifications)
     };
     
-    // ✅ FIXED: Store only filename, not path
-    if (req.file) {
-      updates.image = req.file.filename; // Just the filename
-      console.log(`✅ Updated image to: ${req.file.filename}`);
+    // Only touch fields that were actually sent
+    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+    
+    const current = await loadBirthday(req, res, { write: true });
+    if (!current) return;
+    
+    // Moving between lists: into a group the user can edit, or (for whoever
+    // added it) back to their own list
+    if (req.body.group !== undefined) {
+      updates.group = await resolveBirthdayGroup(req.user.id, req.body.group);
+      if (!updates.group && String(current.user) !== req.user.id) {
+        return res.status(403).json({
+          message: 'Only the person who added this birthday can move it to their own list'
+        });
+      }
+    }
+    
+    // Store only the processed file names, not paths
+    if (req.image) {
+      updates.image = req.image.image;
+      updates.imageVariants = req.image.imageVariants;
+      updates.imageBytes = req.image.imageBytes;
+      console.log(`✅ Updated image to: ${req.image.image}`);
     }
     
-    const birthday = await Birthday.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
+    const birthday = await Birthday.findByIdAndUpdate(
+      current._id,
       updates,
       { new: true, runValidators: true }
     );
@@ -177,28 +306,67 @@ router.put('/:id', protect, upload.single('image'), async (req, res) => {
       });
     }
     
+    // The replaced photo's files are no longer needed
+    if (req.image && current.image && current.image !== birthday.image) {
+      await deleteImageFiles(getImageFiles(current));
+    }
+    
+    emitBirthdayEvent(birthday, 'birthday.updated');
+    
     res.json({
       message: 'Birthday updated successfully',
-      birthday: {
-        ...birthday.toObject(),
-        imageUrl: birthday.image ? `/uploads/${birthday.image}` : null
-      }
+      birthday: await birthday.withImageUrls()
     });
   } catch (error) {
     console.error('Error updating birthday:', error);
+    
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    
     res.status(500).json({
       message: error.message || 'Server error while updating birthday'
     });
   }
 });
 
+// Remove the photo of a birthday (and its files)
+router.delete('/:id/image', protect, async (req, res) => {
+  try {
+    const birthday = await loadBirthday(req, res, { write: true });
+    if (!birthday) return;
+    
+    const files = getImageFiles(birthday);
+    
+    if (files.length) {
+      birthday.image = null;
+      birthday.imageVariants = undefined;
+      birthday.imageBytes = undefined;
+      await birthday.save();
+      await deleteImageFiles(files);
+      
+      emitBirthdayEvent(birthday, 'birthday.updated');
+    }
+    
+    res.json({
+      message: 'Image removed successfully',
+      birthday: await birthday.withImageUrls()
+    });
+  } catch (error) {
+    console.error('Error removing birthday image:', error);
+    res.status(500).json({
+      message: error.message || 'Server error while removing image'
+    });
+  }
+});
+
 // Delete a birthday
 router.delete('/:id', protect, async (req, res) => {
   try {
-    const birthday = await Birthday.findOneAndDelete({ 
-      _id: req.params.id, 
-      user: req.user.id 
-    });
+    const current = await loadBirthday(req, res, { write: true });
+    if (!current) return;
+    
+    const birthday = await Birthday.findByIdAndDelete(current._id);
     
     if (!birthday) {
       return res.status(404).json({
@@ -206,6 +374,10 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
     
+    await deleteImageFiles(getImageFiles(birthday));
+    
+    emitBirthdayEvent(birthday, 'birthday.deleted');
+    
     res.json({
       message: 'Birthday deleted successfully'
     });
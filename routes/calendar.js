@@ -0,0 +1,95 @@
+// routes/calendar.js
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const User = require('../models/User');
+const {
+  buildBirthdayCalendar,
+  createCalendarToken,
+  revokeCalendarToken,
+  findUserByCalendarToken
+} = require('../services/calendarService');
+
+const router = express.Router();
+
+const sendCalendar = (res, calendar, download) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Cache-Control': 'private, max-age=900'
+  });
+  if (download) {
+    res.set('Content-Disposition', 'attachment; filename="birthdays.ics"');
+  }
+  res.send(calendar);
+};
+
+// Download the authenticated user's birthdays as an .ics file
+router.get('/birthdays.ics', protect, async (req, res) => {
+  try {
+    sendCalendar(res, await buildBirthdayCalendar(req.user), true);
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    res.status(500).json({ message: 'Server error while exporting calendar' });
+  }
+});
+
+// Show whether a subscription URL is active
+router.get('/subscription', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    res.json({
+      active: !!user.calendarToken,
+      createdAt: user.calendarTokenCreatedAt || null
+    });
+  } catch (error) {
+    console.error('Error fetching calendar subscription:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a new secret subscription URL (replaces any previous one).
+// The URL is only shown once; only a hash of the secret is stored.
+router.post('/subscription', protect, async (req, res) => {
+  try {
+    const token = await createCalendarToken(req.user.id);
+    const url = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+    res.status(201).json({
+      message: 'Calendar subscription created',
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    });
+  } catch (error) {
+    console.error('Error creating calendar subscription:', error);
+    res.status(500).json({ message: 'Server error while creating calendar subscription' });
+  }
+});
+
+// Revoke the subscription URL
+router.delete('/subscription', protect, async (req, res) => {
+  try {
+    await revokeCalendarToken(req.user.id);
+    res.json({ message: 'Calendar subscription revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar subscription:', error);
+    res.status(500).json({ message: 'Server error while revoking calendar subscription' });
+  }
+});
+
+// Public feed for calendar clients; the secret in the URL is the credential
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await findUserByCalendarToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    sendCalendar(res, await buildBirthdayCalendar(user), false);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+// routes/groups.js
+// Family/team groups that share one birthday list
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const {
+  listGroups,
+  getGroupDetails,
+  createGroup,
+  renameGroup,
+  deleteGroup,
+  inviteMember,
+  revokeInvitation,
+  findInvitation,
+  describeInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../services/groupService');
+
+const router = express.Router();
+
+router.use(protect);
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// List the user's groups with their role in each
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listGroups(req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Server error while fetching groups');
+  }
+});
+
+// Create a group owned by the user
+router.post('/', async (req, res) => {
+  try {
+    const group = await createGroup(req.user.id, req.body.name);
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: await getGroupDetails(req.user.id, group._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while creating group');
+  }
+});
+
+// Show an invitation before accepting it (link from the invitation email)
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    res.json(describeInvitation(await findInvitation(req.params.token)));
+  } catch (error) {
+    sendError(res, error, 'Server error while fetching invitation');
+  }
+});
+
+// Join the group of an invitation
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const invitation = await acceptInvitation(req.user, req.params.token);
+
+    res.json({
+      message: `You joined ${invitation.group.name}`,
+      group: await getGroupDetails(req.user.id, invitation.group._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while accepting invitation');
+  }
+});
+
+router.post('/invitations/:token/decline', async (req, res) => {
+  try {
+    await declineInvitation(req.params.token);
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    sendError(res, error, 'Server error while declining invitation');
+  }
+});
+
+// Group with its members (and open invitations for the owner)
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getGroupDetails(req.user.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Server error while fetching group');
+  }
+});
+
+// Rename a group (owner only)
+router.put('/:id', async (req, res) => {
+  try {
+    await renameGroup(req.user.id, req.params.id, req.body.name);
+
+    res.json({
+      message: 'Group updated successfully',
+      group: await getGroupDetails(req.user.id, req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while updating group');
+  }
+});
+
+// Delete a group (owner only); its birthdays move back to whoever added them
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteGroup(req.user.id, req.params.id);
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Server error while deleting group');
+  }
+});
+
+// Invite someone by email as an editor or viewer (owner only)
+router.post('/:id/invitations', async (req, res) => {
+  try {
+    const result = await inviteMember(req.user, req.params.id, {
+      email: req.body.email,
+      role: req.body.role
+    });
+
+    res.status(201).json({
+      message: result.emailSent
+        ? `Invitation sent to ${result.invitation.email}`
+        : 'Invitation created, but the email could not be sent. Share the link instead.',
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while inviting member');
+  }
+});
+
+// Revoke an open invitation (owner only)
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    await revokeInvitation(req.user.id, req.params.id, req.params.invitationId);
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    sendError(res, error, 'Server error while revoking invitation');
+  }
+});
+
+// Change a member's role; role "owner" hands the group over (owner only)
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    await updateMemberRole(req.user.id, req.params.id, req.params.userId, req.body.role);
+
+    res.json({
+      message: 'Member updated successfully',
+      group: await getGroupDetails(req.user.id, req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while updating member');
+  }
+});
+
+// Remove a member (owner), or leave the group with your own user id
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    await removeMember(req.user.id, req.params.id, req.params.userId);
+
+    res.json({
+      message: req.params.userId === req.user.id ? 'You left the group' : 'Member removed successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error while removing member');
+  }
+});
+
+module.exports = router;
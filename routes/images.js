@@ -0,0 +1,84 @@
+// routes/images.js
+// Birthday photos. Files are never served statically: a request needs either a
+// signed link from the API (see services/storage/signedUrls.js) or a token for
+// a user who can see the birthday (its owner or a member of its group).
+const express = require('express');
+const path = require('path');
+const { protect } = require('../middleware/auth');
+const Birthday = require('../models/Birthday');
+const { getStorage } = require('../services/storage');
+const { verifyImageSignature } = require('../services/storage/signedUrls');
+const { imageKeyQuery } = require('../services/imageService');
+const { birthdayAccessFilter } = require('../services/groupService');
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+// Signed links stand on their own; anything else needs the token of someone with access
+const authorizeImage = async (req, res, next) => {
+  if (req.query.sig !== undefined) {
+    const remaining = verifyImageSignature(req.params.key, req.query.expires, req.query.sig);
+    if (!remaining) {
+      return res.status(403).json({ message: 'Image link is invalid or has expired' });
+    }
+
+    res.set('Cache-Control', `private, max-age=${remaining}`);
+    return next();
+  }
+
+  return protect(req, res, async () => {
+    try {
+      const visible = await Birthday.exists({
+        $and: [await birthdayAccessFilter(req.user.id), imageKeyQuery(req.params.key)]
+      });
+      if (!visible) {
+        return res.status(404).json({ message: 'Image not found' });
+      }
+
+      res.set('Cache-Control', 'private, no-cache');
+      next();
+    } catch (error) {
+      console.error('Error checking image access:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+};
+
+// Stream one stored photo
+router.get('/:key', (req, res, next) => {
+  // Keys are plain file names
+  if (path.basename(req.params.key) !== req.params.key) {
+    return res.status(404).json({ message: 'Image not found' });
+  }
+  next();
+}, authorizeImage, async (req, res) => {
+  try {
+    const data = await getStorage().get(req.params.key);
+    if (!data) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const contentType = CONTENT_TYPES[path.extname(req.params.key).toLowerCase()];
+    res.set({
+      'Content-Type': contentType || 'application/octet-stream',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (!contentType) {
+      res.set('Content-Disposition', 'attachment');
+    }
+    res.send(data);
+  } catch (error) {
+    console.error('Error serving image:', error);
+    res.status(500).json({ message: 'Server error while loading image' });
+  }
+});
+
+module.exports = router;
@@ -3,24 +3,155 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const Notification = require('../models/Notification');
+const { getUnreadCount, listNotifications } = require('../services/notificationService');
+const { listDeliveries } = require('../services/deliveryService');
+const { getPreferences, updatePreferences } = require('../services/notificationPreferenceService');
+const { publishEvent, getEventsSince, subscribe } = require('../services/notificationEvents');
 
 
 // Example check route
 router.get("/check", (req, res) => {
   res.json({ success: true, message: "Checked notifications" });
 });
-// Get all notifications for authenticated user
+// Get notifications for authenticated user, newest first.
+// Supports ?unread=true, ?type=birthday,reminder, ?from=&to= and ?page=&limit=;
+// totals are sent in the same headers as the birthdays list.
 router.get('/', auth.protect, async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .populate('birthdayId', 'name date');
+    const { notifications, total, page, limit, totalPages } = await listNotifications(req.user.id, req.query);
+
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'X-Total-Pages': String(totalPages)
+    });
     
     res.json(notifications);
   } catch (error) {
     console.error('Error fetching notifications:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get number of unread notifications
+router.get('/unread-count', auth.protect, async (req, res) => {
+  try {
+    const count = await getUnreadCount(req.user.id);
+    res.json({ count });
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delivery log across channels for authenticated user, newest first.
+// Supports ?channel=email, ?status=failed and ?page=&limit=
+const sendDeliveries = async (req, res, query) => {
+  try {
+    const { deliveries, total, page, limit, totalPages } = await listDeliveries(req.user.id, query);
+
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'X-Total-Pages': String(totalPages)
+    });
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching deliveries:', error);
     res.status(500).json({ message: 'Server error' });
   }
+};
+
+router.get('/deliveries', auth.protect, (req, res) => sendDeliveries(req, res, req.query));
+
+// Kept for older clients: the email part of the delivery log
+router.get('/email-deliveries', auth.protect, (req, res) => {
+  sendDeliveries(req, res, { ...req.query, channel: 'email' });
+});
+
+// Channels per notification type and quiet hours
+router.get('/preferences', auth.protect, async (req, res) => {
+  try {
+    res.json(await getPreferences(req.user.id));
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/preferences', auth.protect, async (req, res) => {
+  try {
+    res.json(await updatePreferences(req.user.id, req.body));
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Server-Sent Events stream of notification changes for this user.
+// Reconnecting clients send Last-Event-ID (EventSource does this automatically)
+// and receive the events they missed.
+router.get('/stream', auth.protectStream, async (req, res) => {
+  const userId = req.user.id;
+  const pending = [];
+  let replaying = true;
+
+  const send = ({ id, event, data }) => {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Subscribe before replaying so nothing published in between is lost
+  const unsubscribe = subscribe(userId, (message) => {
+    if (replaying) {
+      pending.push(message);
+    } else {
+      send(message);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missed = await getEventsSince(userId, lastEventId);
+    const replayed = new Set(missed.map(message => message.id));
+
+    missed.forEach(send);
+    pending.filter(message => !replayed.has(message.id)).forEach(send);
+    replaying = false;
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ unreadCount: await getUnreadCount(userId) })}\n\n`);
+  } catch (error) {
+    console.error('Error starting notification stream:', error);
+    replaying = false;
+  }
 });
 
 // Mark a notification as read
@@ -36,8 +167,11 @@ router.patch('/:id/read', auth.protect, async (req, res) => {
     }
 
     notification.isRead = true;
+    notification.readAt = notification.readAt || new Date();
     await notification.save();
 
+    await publishEvent(req.user.id, 'notification.read', { ids: [notification.id] });
+
     res.json(notification);
   } catch (error) {
     console.error('Error marking notification as read:', error);
@@ -57,11 +191,14 @@ router.patch('/read-multiple', auth.protect, async (req, res) => {
     await Notification.updateMany(
       { 
         _id: { $in: ids },
-        userId: req.user.id 
+        userId: req.user.id,
+        isRead: false
       },
-      { $set: { isRead: true } }
+      { $set: { isRead: true, readAt: new Date() } }
     );
 
+    await publishEvent(req.user.id, 'notification.read', { ids });
+
     res.json({ message: 'Notifications marked as read' });
   } catch (error) {
     console.error('Error marking notifications as read:', error);
@@ -74,9 +211,11 @@ router.patch('/read-all', auth.protect, async (req, res) => {
   try {
     await Notification.updateMany(
       { userId: req.user.id, isRead: false },
-      { $set: { isRead: true } }
+      { $set: { isRead: true, readAt: new Date() } }
     );
 
+    await publishEvent(req.user.id, 'notification.read', { all: true });
+
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
     console.error('Error marking all notifications as read:', error);
@@ -84,6 +223,20 @@ router.patch('/read-all', auth.protect, async (req, res) => {
   }
 });
 
+// Clear all notifications (registered before /:id so it isn't taken as an id)
+router.delete('/clear-all', auth.protect, async (req, res) => {
+  try {
+    await Notification.deleteMany({ userId: req.user.id });
+
+    await publishEvent(req.user.id, 'notification.deleted', { all: true });
+
+    res.json({ message: 'All notifications cleared' });
+  } catch (error) {
+    console.error('Error clearing notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete a notification
 router.delete('/:id', auth.protect, async (req, res) => {
   try {
@@ -96,6 +249,8 @@ router.delete('/:id', auth.protect, async (req, res) => {
       return res.status(404).json({ message: 'Notification not found' });
     }
 
+    await publishEvent(req.user.id, 'notification.deleted', { ids: [notification.id] });
+
     res.json({ message: 'Notification deleted' });
   } catch (error) {
     console.error('Error deleting notification:', error);
@@ -103,16 +258,4 @@ router.delete('/:id', auth.protect, async (req, res) => {
   }
 });
 
-// Clear all notifications
-router.delete('/clear-all', auth.protect, async (req, res) => {
-  try {
-    await Notification.deleteMany({ userId: req.user.id });
-
-    res.json({ message: 'All notifications cleared' });
-  } catch (error) {
-    console.error('Error clearing notifications:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,203 @@
+// routes/push.js
+const express = require('express');
+const crypto = require('crypto');
+const { protect } = require('../middleware/auth');
+const PushSubscription = require('../models/PushSubscription');
+const {
+  isDevSinkEnabled,
+  isPushConfigured,
+  getVapidPublicKey,
+  sendPushToUser
+} = require('../services/pushService');
+const { allowPrivateUrls, getOutgoingUrlError } = require('../utils/urlGuard');
+
+const router = express.Router();
+
+// Public VAPID key for PushManager.subscribe({ applicationServerKey })
+router.get('/vapid-public-key', (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ message: 'Push notifications are not configured' });
+  }
+
+  res.json({ publicKey: getVapidPublicKey() });
+});
+
+// Register (or refresh) this device's push subscription
+router.post('/subscriptions', protect, async (req, res) => {
+  try {
+    const { endpoint, keys = {}, expirationTime } = req.body.subscription || req.body;
+
+    if (!endpoint || !keys.p256dh || !keys.auth) {
+      return res.status(400).json({
+        message: 'A subscription with endpoint and keys (p256dh, auth) is required'
+      });
+    }
+
+    // The server POSTs to this URL, so it must be a public push service
+    const endpointError = getOutgoingUrlError(endpoint, 'Subscription endpoint');
+    if (endpointError) {
+      return res.status(400).json({ message: endpointError });
+    }
+
+    // An endpoint belongs to one browser; re-registering moves it to the current user
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user.id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        expirationTime: expirationTime ? new Date(expirationTime) : undefined,
+        deviceName: req.body.deviceName || '',
+        userAgent: req.headers['user-agent'],
+        failureCount: 0
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      message: 'Push subscription saved',
+      subscription: {
+        id: subscription._id,
+        deviceName: subscription.deviceName,
+        createdAt: subscription.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ message: error.message || 'Server error while saving push subscription' });
+  }
+});
+
+// List this user's devices
+router.get('/subscriptions', protect, async (req, res) => {
+  try {
+    const subscriptions = await PushSubscription.find({ user: req.user.id })
+      .select('deviceName userAgent lastSuccessAt createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Error fetching push subscriptions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a device by endpoint (e.g. after PushSubscription.unsubscribe())
+router.delete('/subscriptions', protect, async (req, res) => {
+  try {
+    if (!req.body.endpoint) {
+      return res.status(400).json({ message: 'endpoint is required' });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user.id });
+    res.json({ message: 'Push subscription removed' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a device by id
+router.delete('/subscriptions/:id', protect, async (req, res) => {
+  try {
+    const subscription = await PushSubscription.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Push subscription not found' });
+    }
+
+    res.json({ message: 'Push subscription removed' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a test push to all of this user's devices
+router.post('/test', protect, async (req, res) => {
+  try {
+    if (!isPushConfigured()) {
+      return res.status(503).json({ message: 'Push notifications are not configured' });
+    }
+
+    const result = await sendPushToUser(req.user.id, {
+      title: '🎂 Birthday Reminder',
+      body: 'Push notifications are working!',
+      tag: 'test'
+    });
+
+    res.json({ message: 'Test push sent', ...result });
+  } catch (error) {
+    console.error('Error sending test push:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// -------------------- Local push service stand-in --------------------
+// Local testing only, enabled with PUSH_DEV_SINK=true: a fake push service to
+// test delivery without a browser. Its endpoints are plain http on this server,
+// so ALLOW_PRIVATE_URLS=true is needed as well.
+//   POST /dev-sink               register a fake device for the current user
+//   POST /dev-sink/:id           endpoint the server pushes to (410 for "gone")
+//   GET  /dev-sink/:id           pushes received by that fake device
+if (isDevSinkEnabled()) {
+  const received = new Map();
+
+  router.post('/dev-sink', protect, async (req, res) => {
+    try {
+      if (!allowPrivateUrls()) {
+        return res.status(400).json({
+          message: 'Set ALLOW_PRIVATE_URLS=true so the server may push to its own dev sink'
+        });
+      }
+
+      const id = req.body.gone ? 'gone' : crypto.randomBytes(8).toString('hex');
+      const ecdh = crypto.createECDH('prime256v1');
+      ecdh.generateKeys();
+
+      const subscription = await PushSubscription.create({
+        user: req.user.id,
+        endpoint: `${req.protocol}://${req.get('host')}/api/push/dev-sink/${id}-${Date.now()}`,
+        keys: {
+          p256dh: ecdh.getPublicKey().toString('base64url'),
+          auth: crypto.randomBytes(16).toString('base64url')
+        },
+        deviceName: 'Local push stand-in'
+      });
+
+      res.status(201).json({ id: subscription.endpoint.split('/').pop(), endpoint: subscription.endpoint });
+    } catch (error) {
+      console.error('Error creating dev push subscription:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // The body is an aes128gcm-encrypted payload, so it is only measured, not parsed
+  router.post('/dev-sink/:id', (req, res) => {
+    if (req.params.id.startsWith('gone')) {
+      req.resume();
+      return res.status(410).end();
+    }
+
+    let bytes = 0;
+    req.on('data', chunk => { bytes += chunk.length; });
+    req.on('end', () => {
+      const pushes = received.get(req.params.id) || [];
+      pushes.push({
+        receivedAt: new Date().toISOString(),
+        ttl: req.get('TTL'),
+        encoding: req.get('Content-Encoding'),
+        bytes
+      });
+      received.set(req.params.id, pushes.slice(-50));
+
+      res.status(201).end();
+    });
+  });
+
+  router.get('/dev-sink/:id', (req, res) => {
+    res.json(received.get(req.params.id) || []);
+  });
+}
+
+module.exports = router;
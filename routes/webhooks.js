@@ -0,0 +1,235 @@
+// routes/webhooks.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect } = require('../middleware/auth');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, getUrlError, sendTestEvent } = require('../services/webhookService');
+
+const router = express.Router();
+
+const MAX_WEBHOOKS_PER_USER = 10;
+
+router.use(protect);
+
+const parseEvents = (events) => {
+  if (events === undefined) return undefined;
+  const list = Array.isArray(events) ? events : String(events).split(',');
+  return [...new Set(list.map(event => String(event).trim()).filter(Boolean))];
+};
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  res.status(500).json({ message: fallback });
+};
+
+// Load one of the current user's webhooks or answer 404
+const findOwnWebhook = async (req, res, select = '') => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Webhook not found' });
+    return null;
+  }
+
+  const webhook = await Webhook.findOne({ _id: req.params.id, user: req.user.id }).select(select);
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found' });
+  }
+  return webhook;
+};
+
+// Events a webhook can subscribe to
+router.get('/events', (req, res) => {
+  res.json(Webhook.EVENTS);
+});
+
+// List the user's webhooks (secrets are never listed)
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ user: req.user.id }).sort({ createdAt: -1 });
+    res.json(webhooks);
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a webhook. The signing secret is returned only in this response
+// (and when rotated); pass your own in "secret" or let one be generated.
+router.post('/', async (req, res) => {
+  try {
+    const urlError = getUrlError(req.body.url);
+    if (urlError) {
+      return res.status(400).json({ message: urlError });
+    }
+
+    if (await Webhook.countDocuments({ user: req.user.id }) >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks` });
+    }
+
+    if (req.body.secret !== undefined && String(req.body.secret).length < 16) {
+      return res.status(400).json({ message: 'Secret must be at least 16 characters' });
+    }
+
+    const secret = req.body.secret ? String(req.body.secret) : generateSecret();
+    const webhook = await Webhook.create({
+      user: req.user.id,
+      url: req.body.url,
+      description: req.body.description,
+      events: parseEvents(req.body.events) || [],
+      secret
+    });
+
+    res.status(201).json({
+      message: 'Webhook created',
+      webhook: { ...webhook.toObject(), secret }
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendError(res, error, 'Server error while creating webhook');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (webhook) res.json(webhook);
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update url, description, events or active. Re-activating clears the failure streak.
+router.put('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    if (req.body.url !== undefined) {
+      const urlError = getUrlError(req.body.url);
+      if (urlError) {
+        return res.status(400).json({ message: urlError });
+      }
+      webhook.url = req.body.url;
+    }
+
+    if (req.body.description !== undefined) webhook.description = req.body.description;
+
+    const events = parseEvents(req.body.events);
+    if (events !== undefined) webhook.events = events;
+
+    if (req.body.active !== undefined) {
+      const active = req.body.active === true || req.body.active === 'true';
+      if (active && !webhook.active) {
+        webhook.consecutiveFailures = 0;
+        webhook.disabledAt = undefined;
+        webhook.disabledReason = undefined;
+      }
+      webhook.active = active;
+    }
+
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated',
+      webhook
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    sendError(res, error, 'Server error while updating webhook');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the signing secret; the new one is shown once
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook secret rotated',
+      secret
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a signed "webhook.test" event right away and report the response
+router.post('/:id/test', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res, '+secret');
+    if (!webhook) return;
+
+    const delivery = await sendTestEvent(webhook);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test delivery succeeded' : 'Test delivery failed',
+      delivery
+    });
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delivery history, newest first (?status=failed, ?page=&limit=)
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'X-Total-Pages': String(Math.max(Math.ceil(total / limit), 1))
+    });
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+// services/adminService.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Birthday = require('../models/Birthday');
+const Group = require('../models/Group');
+const GroupInvitation = require('../models/GroupInvitation');
+const Notification = require('../models/Notification');
+const NotificationEvent = require('../models/NotificationEvent');
+const NotificationPreference = require('../models/NotificationPreference');
+const Delivery = require('../models/Delivery');
+const PushSubscription = require('../models/PushSubscription');
+const RefreshToken = require('../models/RefreshToken');
+const SentReminder = require('../models/SentReminder');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { revokeAllRefreshTokens } = require('./tokenService');
+const { getImageFiles, deleteImageFiles } = require('./imageService');
+const { createNotification } = require('./notificationService');
+const { registerJob, enqueueJob } = require('./jobScheduler');
+
+const BROADCAST_JOB = 'notification-broadcast';
+const BROADCAST_TYPES = ['system', 'update'];
+const MAX_LIMIT = 100;
+
+const adminError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Only the fields an admin needs; never token hashes
+const toAdminUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isVerified: user.isVerified,
+  isDisabled: !!user.isDisabled,
+  disabledAt: user.disabledAt,
+  timezone: user.timezone,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Promote the accounts listed in ADMIN_EMAILS (comma separated), so the
+// first admin can be set up without touching the database
+const promoteConfiguredAdmins = async () => {
+  const emails = String(process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  if (!emails.length) return 0;
+
+  const result = await User.updateMany(
+    { email: { $in: emails }, role: { $ne: 'admin' } },
+    { $set: { role: 'admin' } }
+  );
+  if (result.modifiedCount) {
+    console.log(`👑 Promoted ${result.modifiedCount} user(s) from ADMIN_EMAILS to admin`);
+  }
+  return result.modifiedCount;
+};
+
+// Paginated users. query: search (name or email), role, disabled=true|false, page, limit
+const listUsers = async (query = {}) => {
+  const filter = {};
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (query.role) {
+    if (!User.schema.path('role').enumValues.includes(query.role)) {
+      throw adminError('role must be user or admin');
+    }
+    filter.role = query.role;
+  }
+  if (query.disabled === 'true') filter.isDisabled = true;
+  if (query.disabled === 'false') filter.isDisabled = { $ne: true };
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_LIMIT);
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter)
+  ]);
+
+  return {
+    users: users.map(toAdminUser),
+    total,
+    page,
+    limit,
+    totalPages: Math.max(Math.ceil(total / limit), 1)
+  };
+};
+
+const findUser = async (userId) => {
+  const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+  if (!user) {
+    throw adminError('User not found', 404);
+  }
+  return user;
+};
+
+// One user with a few usage numbers
+const getUserDetails = async (userId) => {
+  const user = await findUser(userId);
+
+  const [birthdays, groups, webhooks, pushSubscriptions] = await Promise.all([
+    Birthday.countDocuments({ user: user._id }),
+    Group.countDocuments({ 'members.user': user._id }),
+    Webhook.countDocuments({ user: user._id }),
+    PushSubscription.countDocuments({ user: user._id })
+  ]);
+
+  return {
+    ...toAdminUser(user),
+    counts: { birthdays, groups, webhooks, pushSubscriptions }
+  };
+};
+
+// Change a user's role and/or disable or re-enable the account.
+// Admins cannot demote or disable themselves, so there is always one left.
+const updateUser = async (adminId, userId, { role, disabled }) => {
+  const user = await findUser(userId);
+  const self = String(user._id) === String(adminId);
+
+  if (role !== undefined) {
+    if (self && role !== user.role) {
+      throw adminError('You cannot change your own role');
+    }
+    user.role = role;
+  }
+
+  if (disabled !== undefined) {
+    const disable = disabled === true || disabled === 'true';
+    if (self && disable) {
+      throw adminError('You cannot disable your own account');
+    }
+
+    if (disable && !user.isDisabled) {
+      user.isDisabled = true;
+      user.disabledAt = new Date();
+    } else if (!disable && user.isDisabled) {
+      user.isDisabled = false;
+      user.disabledAt = undefined;
+    }
+  }
+
+  await user.save({ validateModifiedOnly: true });
+
+  // Signed-in devices cannot refresh their way back in
+  if (user.isDisabled) {
+    await revokeAllRefreshTokens(user._id);
+  }
+
+  return user;
+};
+
+// Leave every group; owned groups pass to the longest-standing editor (or
+// member). Groups with nobody left are deleted like deleteGroup does: their
+// birthdays go back to whoever added them.
+const removeFromGroups = async (userId) => {
+  const groups = await Group.find({ 'members.user': userId });
+
+  for (const group of groups) {
+    const member = group.members.find(member => String(member.user) === String(userId));
+    const others = group.members
+      .filter(other => other !== member)
+      .sort((a, b) => (a.role === 'editor' ? 0 : 1) - (b.role === 'editor' ? 0 : 1) || a.joinedAt - b.joinedAt);
+
+    if (!others.length) {
+      await Birthday.updateMany({ group: group._id }, { $set: { group: null } });
+      await GroupInvitation.deleteMany({ group: group._id });
+      await group.deleteOne();
+      continue;
+    }
+
+    if (member.role === 'owner') {
+      others[0].role = 'owner';
+    }
+    group.members = others;
+    await group.save();
+  }
+};
+
+// Delete an account and everything that only belongs to it. Birthdays the
+// user added to a group stay with the group.
+const deleteUser = async (adminId, userId) => {
+  const user = await findUser(userId);
+
+  if (String(user._id) === String(adminId)) {
+    throw adminError('You cannot delete your own account');
+  }
+
+  await removeFromGroups(user._id);
+
+  const birthdays = await Birthday.find({ user: user._id, group: null }).select('image imageVariants');
+  await deleteImageFiles(birthdays.flatMap(getImageFiles));
+
+  const webhooks = await Webhook.find({ user: user._id }).select('_id');
+
+  await Promise.all([
+    Birthday.deleteMany({ user: user._id, group: null }),
+    Notification.deleteMany({ userId: user._id }),
+    NotificationEvent.deleteMany({ userId: user._id }),
+    NotificationPreference.deleteMany({ user: user._id }),
+    Delivery.deleteMany({ userId: user._id }),
+    PushSubscription.deleteMany({ user: user._id }),
+    WebhookDelivery.deleteMany({ webhook: { $in: webhooks.map(webhook => webhook._id) } }),
+    Webhook.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    SentReminder.deleteMany({ user: user._id })
+  ]);
+
+  await user.deleteOne();
+  return user;
+};
+
+// Queue a notification for every active user; the job sends them in the background
+const broadcastNotification = async (admin, { message, type = 'system' }) => {
+  const text = String(message || '').trim();
+
+  if (!text) {
+    throw adminError('Please add a message');
+  }
+  if (text.length > 500) {
+    throw adminError('Message cannot exceed 500 characters');
+  }
+  if (!BROADCAST_TYPES.includes(type)) {
+    throw adminError(`type must be one of ${BROADCAST_TYPES.join(', ')}`);
+  }
+
+  // A failed run is not retried: users who already got it would get it twice
+  return enqueueJob(BROADCAST_JOB, { message: text, type, sentBy: String(admin._id) }, {
+    maxAttempts: 1,
+    triggeredBy: `admin:${admin._id}`
+  });
+};
+
+const sendBroadcast = async (job) => {
+  const { message, type } = job.data;
+  const stats = { sent: 0, failed: 0 };
+
+  const cursor = User.find({ isDisabled: { $ne: true } }).select('_id').cursor();
+
+  for await (const user of cursor) {
+    try {
+      await createNotification(user._id, message, type, { broadcast: String(job._id) });
+      stats.sent++;
+    } catch (error) {
+      console.error(`Error sending broadcast to user ${user._id}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  console.log(`📣 Broadcast ${job._id} sent to ${stats.sent} users (${stats.failed} failed)`);
+  return stats;
+};
+
+const registerBroadcastJob = () => {
+  registerJob(BROADCAST_JOB, sendBroadcast, { maxAttempts: 1 });
+};
+
+module.exports = {
+  BROADCAST_JOB,
+  promoteConfiguredAdmins,
+  listUsers,
+  getUserDetails,
+  updateUser,
+  deleteUser,
+  broadcastNotification,
+  registerBroadcastJob
+};
@@ -0,0 +1,181 @@
+// services/birthdayQueryService.js
+const mongoose = require('mongoose');
+const Birthday = require('../models/Birthday');
+const { birthdayAccessFilter } = require('./groupService');
+const {
+  getZonedParts,
+  getBirthdayParts,
+  getNextOccurrence,
+  daysBetween,
+  formatDateParts
+} = require('../utils/dateUtils');
+
+const SORT_MODES = ['next', 'name', 'age', 'created'];
+const MAX_LIMIT = 100;
+
+const queryError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseInteger = (value, name, min, max) => {
+  if (value === undefined || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw queryError(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Turn list query parameters into a Mongo filter (throws 400 errors for bad input).
+// access is the filter for every birthday the user can see.
+const buildFilter = (userId, access, query, today) => {
+  const filter = { $and: [access] };
+
+  // ?group=personal for the user's own list, or a group id (empty unless they are a member)
+  if (query.group === 'personal') {
+    filter.$and.push({ user: new mongoose.Types.ObjectId(userId), group: null });
+  } else if (query.group) {
+    if (!mongoose.Types.ObjectId.isValid(query.group)) {
+      throw queryError('group must be a group id or personal');
+    }
+    filter.$and.push({ group: new mongoose.Types.ObjectId(query.group) });
+  }
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    filter.$or = [{ name: pattern }, { notes: pattern }];
+  }
+
+  if (query.relationship) {
+    const relationships = String(query.relationship).split(',').map(value => value.trim()).filter(Boolean);
+    filter.relationship = { $in: relationships.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) };
+  }
+
+  const month = parseInteger(query.month, 'month', 1, 12);
+  if (month) {
+    filter.birthMonth = month;
+  }
+
+  // Age on today's date: born on or before (today - minAge years) and after (today - (maxAge + 1) years)
+  const minAge = parseInteger(query.minAge, 'minAge', 0, 150);
+  const maxAge = parseInteger(query.maxAge, 'maxAge', 0, 150);
+  if (minAge !== undefined || maxAge !== undefined) {
+    filter.date = {};
+    if (minAge !== undefined) {
+      filter.date.$lte = new Date(Date.UTC(today.year - minAge, today.month - 1, today.day));
+    }
+    if (maxAge !== undefined) {
+      filter.date.$gt = new Date(Date.UTC(today.year - maxAge - 1, today.month - 1, today.day));
+    }
+  }
+
+  return filter;
+};
+
+// Sort stage for the requested mode. "next" orders by the next occurrence:
+// month/day keys that already passed this year are pushed behind the rest.
+const buildSort = (sort, order, today) => {
+  const direction = order === 'desc' ? -1 : 1;
+
+  switch (sort) {
+    case 'name':
+      return { addFields: null, sort: { name: direction, _id: 1 } };
+    case 'age':
+      // Older people have earlier birth dates
+      return { addFields: null, sort: { date: -direction, _id: 1 } };
+    case 'created':
+      return { addFields: null, sort: { createdAt: direction, _id: 1 } };
+    default: {
+      const todayKey = today.month * 100 + today.day;
+      const monthDay = { $add: [{ $multiply: ['$birthMonth', 100] }, '$birthDay'] };
+
+      return {
+        addFields: {
+          nextOccurrenceKey: {
+            $cond: [{ $gte: [monthDay, todayKey] }, monthDay, { $add: [monthDay, 1300] }]
+          }
+        },
+        sort: { nextOccurrenceKey: direction, name: 1, _id: 1 }
+      };
+    }
+  }
+};
+
+// List the birthdays a user can see with filtering, sorting and optional pagination.
+// Without page/limit every match is returned, as before.
+const listBirthdays = async (user, query = {}) => {
+  const today = getZonedParts(new Date(), user.timezone || 'UTC');
+  const sort = query.sort || 'next';
+
+  if (!SORT_MODES.includes(sort)) {
+    throw queryError(`sort must be one of ${SORT_MODES.join(', ')}`);
+  }
+  if (query.order && !['asc', 'desc'].includes(query.order)) {
+    throw queryError('order must be asc or desc');
+  }
+
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = parseInteger(query.page, 'page', 1, 100000) || 1;
+  const limit = parseInteger(query.limit, 'limit', 1, MAX_LIMIT) || (paginate ? 20 : undefined);
+
+  const userId = user._id || user.id;
+  const filter = buildFilter(userId, await birthdayAccessFilter(userId), query, today);
+  const { addFields, sort: sortStage } = buildSort(sort, query.order, today);
+
+  const pipeline = [{ $match: filter }];
+  if (addFields) pipeline.push({ $addFields: addFields });
+  pipeline.push({ $sort: sortStage });
+  if (limit) {
+    pipeline.push({ $skip: (page - 1) * limit }, { $limit: limit });
+  }
+  if (addFields) pipeline.push({ $project: { nextOccurrenceKey: 0 } });
+
+  const [results, total] = await Promise.all([
+    Birthday.aggregate(pipeline),
+    Birthday.countDocuments(filter)
+  ]);
+
+  return {
+    birthdays: results.map(result => Birthday.hydrate(result)),
+    total,
+    page: limit ? page : 1,
+    limit: limit || total,
+    totalPages: limit ? Math.max(Math.ceil(total / limit), 1) : 1
+  };
+};
+
+// Birthdays the user can see celebrated within the next `days` days of their local today,
+// soonest first, as { birthday, nextBirthday, daysUntil, turningAge }.
+// options.notifiableOnly leaves out birthdays with notifications switched off.
+const listUpcomingBirthdays = async (user, days, { now = new Date(), notifiableOnly = false } = {}) => {
+  const today = getZonedParts(now, user.timezone || 'UTC');
+  const filter = await birthdayAccessFilter(user._id || user.id);
+  if (notifiableOnly) filter.allowNotifications = { $ne: false };
+
+  const birthdays = await Birthday.find(filter);
+
+  return birthdays
+    .map(birthday => {
+      const born = getBirthdayParts(birthday.date);
+      const next = getNextOccurrence(born.month, born.day, today);
+
+      return {
+        birthday,
+        nextBirthday: formatDateParts(next),
+        daysUntil: daysBetween(today, next),
+        turningAge: next.year - born.year
+      };
+    })
+    .filter(item => item.daysUntil <= days)
+    .sort((a, b) => a.daysUntil - b.daysUntil || a.birthday.name.localeCompare(b.birthday.name));
+};
+
+module.exports = {
+  listBirthdays,
+  listUpcomingBirthdays
+};
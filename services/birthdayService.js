@@ -1,79 +1,208 @@
 // services/birthdayService.js
-const Notification = require('../models/Notification');
+const Birthday = require('../models/Birthday');
 const User = require('../models/User');
+const SentReminder = require('../models/SentReminder');
 const { createBirthdayReminder } = require('./notificationService');
+const { getGroupMembers } = require('./groupService');
+const { sendDueDigests } = require('./digestService');
+const {
+  getZonedParts,
+  addDays,
+  getDaysUntilBirthday,
+  getMonthDaysCelebratedOn,
+  formatDateParts
+} = require('../utils/dateUtils');
+const { registerJob, startScheduler } = require('./jobScheduler');
+
+const BATCH_SIZE = parseInt(process.env.BIRTHDAY_CHECK_BATCH_SIZE, 10) || 500;
+const DEFAULT_OFFSETS = [0, 1, 3, 7];
+
+// Every reminder offset currently in use, so we know which calendar days to look at
+const getOffsetsInUse = async () => {
+  const [notifyBefore, reminderOffsets] = await Promise.all([
+    Birthday.distinct('notifyBefore'),
+    Birthday.distinct('reminderOffsets')
+  ]);
+
+  return [...new Set([...DEFAULT_OFFSETS, ...notifyBefore, ...reminderOffsets])]
+    .filter(offset => Number.isInteger(offset) && offset >= 0 && offset <= 365);
+};
+
+// Build a query matching birthdays celebrated on any of the given dates
+const buildMonthDayQuery = (dates) => {
+  const daysByMonth = new Map();
+
+  for (const date of dates) {
+    for (const { month, day } of getMonthDaysCelebratedOn(date)) {
+      if (!daysByMonth.has(month)) daysByMonth.set(month, new Set());
+      daysByMonth.get(month).add(day);
+    }
+  }
+
+  return {
+    allowNotifications: { $ne: false },
+    $or: [...daysByMonth].map(([month, days]) => ({
+      birthMonth: month,
+      birthDay: { $in: [...days] }
+    }))
+  };
+};
+
+// Create reminders for one batch of birthdays, skipping ones already sent.
+// Group birthdays remind every member; "today", the delivery hour and digest
+// mode are evaluated per recipient, in their own timezone.
+const processBatch = async (birthdays, now) => {
+  const due = [];
+  const groupMembers = await getGroupMembers([...new Set(
+    birthdays.filter(birthday => birthday.group).map(birthday => String(birthday.group))
+  )]);
+  const recipientsOf = (birthday) => birthday.group
+    ? groupMembers.get(String(birthday.group)) || []
+    : [birthday.user];
+
+  const userIds = new Set(birthdays.flatMap(recipientsOf).map(String));
+  const users = await User.find({ _id: { $in: [...userIds] } })
+    .select('timezone reminderHour digest.enabled isDisabled');
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+
+  for (const birthday of birthdays) {
+    for (const userId of recipientsOf(birthday)) {
+      const user = usersById.get(String(userId));
+      if (!user || user.isDisabled) continue;
+
+      // Digest users get everything in one summary instead
+      if (user.digest && user.digest.enabled) continue;
+
+      // Not yet the user's preferred delivery time; a later hourly run picks it up
+      const local = getZonedParts(now, user.timezone || 'UTC');
+      if (local.hour < (user.reminderHour == null ? 8 : user.reminderHour)) continue;
+
+      const daysUntil = getDaysUntilBirthday(birthday.birthMonth, birthday.birthDay, local);
+      if (birthday.getReminderOffsets().includes(daysUntil)) {
+        due.push({ userId: user._id, birthday, daysUntil, localDate: formatDateParts(local) });
+      }
+    }
+  }
+
+  if (!due.length) return 0;
+
+  // Reminders already sent today are recorded in SentReminder (not looked up
+  // in Notification, which users can delete)
+  const existing = await SentReminder.find({
+    user: { $in: [...new Set(due.map(({ userId }) => String(userId)))] },
+    birthday: { $in: due.map(({ birthday }) => birthday._id) },
+    localDate: { $in: [...new Set(due.map(({ localDate }) => localDate))] }
+  }).select('user birthday daysUntil localDate');
+
+  const reminderKey = (userId, birthdayId, daysUntil, localDate) =>
+    `${userId}:${birthdayId}:${daysUntil}:${localDate}`;
+  const sent = new Set(existing.map(reminder =>
+    reminderKey(reminder.user, reminder.birthday, reminder.daysUntil, reminder.localDate)
+  ));
+
+  let created = 0;
+  for (const { userId, birthday, daysUntil, localDate } of due) {
+    if (sent.has(reminderKey(userId, birthday._id, daysUntil, localDate))) continue;
+
+    // Claim first; a concurrent check that got there already wins
+    let claim;
+    try {
+      claim = await SentReminder.create({ user: userId, birthday: birthday._id, daysUntil, localDate });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    try {
+      const notification = await createBirthdayReminder(userId, birthday, daysUntil);
+      await SentReminder.updateOne({ _id: claim._id }, { $set: { notificationId: notification._id } });
+      created++;
+    } catch (error) {
+      console.error(`Error creating reminder for birthday ${birthday._id} (user ${userId}):`, error);
+      // Let a later run try again
+      await SentReminder.deleteOne({ _id: claim._id }).catch(() => {});
+    }
+  }
+
+  return created;
+};
 
 // Function to check for upcoming birthdays and create notifications
-const checkUpcomingBirthdays = async () => {
+const checkUpcomingBirthdays = async (now = new Date()) => {
+  const stats = { scanned: 0, remindersCreated: 0, digestsSent: 0 };
+
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Set to start of day for accurate comparison
-    
-    const users = await User.find().populate('birthdays');
-    
-    for (const user of users) {
-      for (const birthday of user.birthdays) {
-        // Create a date object for the birthday
-        const birthDate = new Date(birthday.date);
-        
-        // Create next birthday date for this year
-        const nextBirthday = new Date(today.getFullYear(), birthDate.getMonth(), birthDate.getDate());
-        
-        // If birthday already passed this year, set to next year
-        if (nextBirthday < today) {
-          nextBirthday.setFullYear(today.getFullYear() + 1);
-        }
-        
-        // Calculate days until birthday
-        const daysUntil = Math.ceil((nextBirthday - today) / (1000 * 60 * 60 * 24));
-        
-        // Create notifications for birthdays coming up in 7, 3, 1, and 0 days
-        if ([0, 1, 3, 7].includes(daysUntil)) {
-          // Check if notification already exists for this reminder (within last 48 hours)
-          const existingNotification = await Notification.findOne({
-            userId: user._id,
-            birthdayId: birthday._id,
-            'metadata.daysUntil': daysUntil.toString(),
-            createdAt: { $gte: new Date(Date.now() - 48 * 60 * 60 * 1000) }
-          });
-          
-          if (!existingNotification) {
-            await createBirthdayReminder(user._id, birthday, daysUntil);
-          }
-        }
+    // Local dates range from one day behind to one day ahead of UTC
+    const utcToday = getZonedParts(now, 'UTC');
+    const localTodays = [-1, 0, 1].map(shift => addDays(utcToday, shift));
+    const offsets = await getOffsetsInUse();
+    const query = buildMonthDayQuery(
+      localTodays.flatMap(today => offsets.map(offset => addDays(today, offset)))
+    );
+
+    // Stream matching birthdays in batches instead of loading every user
+    const cursor = Birthday.find(query).cursor({ batchSize: BATCH_SIZE });
+    let batch = [];
+
+    for await (const birthday of cursor) {
+      batch.push(birthday);
+      stats.scanned++;
+
+      if (batch.length >= BATCH_SIZE) {
+        stats.remindersCreated += await processBatch(batch, now);
+        batch = [];
       }
     }
+    stats.remindersCreated += await processBatch(batch, now);
+    
+    // Users in digest mode were skipped above and get their summary here
+    stats.digestsSent = await sendDueDigests(now);
     
-    console.log('Birthday reminder check completed at', new Date().toISOString());
+    console.log(`Birthday reminder check completed at ${new Date().toISOString()}: ${stats.scanned} birthdays scanned, ${stats.remindersCreated} reminders created, ${stats.digestsSent} digests sent`);
   } catch (error) {
     console.error('Error checking upcoming birthdays:', error);
+    // Let the job queue record the failure and retry
+    throw error;
   }
+
+  return stats;
 };
 
-// Schedule daily birthday checks
+const BIRTHDAY_CHECK_JOB = 'birthday-check';
+
+// Checks run every hour so each user gets reminders at their own local
+// reminderHour. Slots are keyed by UTC hour; if the server was down when a slot
+// came due, the latest slot is still created (and run) once it comes back up.
+const getHourlySlot = (now) => {
+  const runAt = new Date(now);
+  runAt.setUTCMinutes(0, 0, 0);
+
+  return {
+    key: `${BIRTHDAY_CHECK_JOB}:${runAt.toISOString().slice(0, 13)}`,
+    runAt
+  };
+};
+
+// Schedule hourly birthday checks through the persistent job queue
 const scheduleBirthdayChecks = () => {
-  // Run once per day at 8 AM
-  const now = new Date();
-  const eightAM = new Date(now);
-  eightAM.setHours(8, 0, 0, 0);
-  
-  // If it's already past 8 AM, schedule for tomorrow
-  if (now > eightAM) {
-    eightAM.setDate(eightAM.getDate() + 1);
-  }
-  
-  const initialDelay = eightAM - now;
-  
-  console.log(`Scheduling birthday checks to run daily at 8 AM. First run in ${Math.round(initialDelay / 1000 / 60)} minutes`);
-  
-  setTimeout(() => {
-    checkUpcomingBirthdays();
-    // Then run every 24 hours
-    setInterval(checkUpcomingBirthdays, 24 * 60 * 60 * 1000);
-  }, initialDelay);
+  // Older documents may predate the birthMonth/birthDay fields
+  Birthday.backfillMonthDay().catch(error => {
+    console.error('Error backfilling birthday month/day fields:', error);
+  });
+
+  registerJob(BIRTHDAY_CHECK_JOB, () => checkUpcomingBirthdays(), {
+    schedule: getHourlySlot,
+    leaseMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    backoffMs: 5 * 60 * 1000
+  });
+
+  console.log('Scheduling hourly birthday checks (delivered at each user\'s local reminder hour)');
+  startScheduler();
 };
 
 module.exports = {
+  BIRTHDAY_CHECK_JOB,
   checkUpcomingBirthdays,
   scheduleBirthdayChecks
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+// services/calendarService.js
+const crypto = require('crypto');
+const Birthday = require('../models/Birthday');
+const User = require('../models/User');
+const { birthdayAccessFilter } = require('./groupService');
+const { buildCalendar } = require('../utils/icalendar');
+const { getBirthdayParts, addDays } = require('../utils/dateUtils');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Yearly recurrence; Feb 29 birthdays fall on the last day of February
+const buildRRule = ({ month, day }) => {
+  if (month === 2 && day === 29) {
+    return 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1';
+  }
+  return 'FREQ=YEARLY';
+};
+
+// VALARMs at the user's reminder hour on each reminder day
+const buildAlarms = (birthday, reminderHour) => {
+  return birthday.getReminderOffsets().map(offset => ({
+    minutesBefore: offset * 24 * 60 - reminderHour * 60,
+    description: offset === 0
+      ? `Today is ${birthday.name}'s birthday!`
+      : `${birthday.name}'s birthday is in ${offset} day${offset === 1 ? '' : 's'}`
+  }));
+};
+
+// Render every birthday a user can see (their own and their groups') as an iCalendar feed
+const buildBirthdayCalendar = async (user) => {
+  const birthdays = await Birthday.find(await birthdayAccessFilter(user._id)).sort({ name: 1 });
+  const reminderHour = user.reminderHour == null ? 8 : user.reminderHour;
+
+  const events = birthdays.map(birthday => {
+    const start = getBirthdayParts(birthday.date);
+    const description = [
+      birthday.relationship ? `Relationship: ${birthday.relationship}` : null,
+      birthday.notes || null
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `${birthday._id}@birthday-reminder`,
+      start,
+      end: addDays(start, 1),
+      rrule: buildRRule(start),
+      summary: `🎂 ${birthday.name}'s birthday`,
+      description,
+      stamp: birthday.updatedAt,
+      alarms: buildAlarms(birthday, reminderHour)
+    };
+  });
+
+  return buildCalendar({
+    name: `${user.name}'s birthdays`,
+    description: 'Birthdays from Birthday Reminder',
+    events
+  });
+};
+
+// Create (or replace) the secret subscription token; resolves with the raw token
+const createCalendarToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  await User.findByIdAndUpdate(userId, {
+    calendarToken: hashToken(token),
+    calendarTokenCreatedAt: new Date()
+  });
+
+  return token;
+};
+
+const revokeCalendarToken = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $unset: { calendarToken: 1, calendarTokenCreatedAt: 1 }
+  });
+};
+
+// Disabled accounts have no feed; the token works again if the account is re-enabled
+const findUserByCalendarToken = async (token) => {
+  if (!token) return null;
+  return User.findOne({ calendarToken: hashToken(token), isDisabled: { $ne: true } });
+};
+
+module.exports = {
+  buildBirthdayCalendar,
+  createCalendarToken,
+  revokeCalendarToken,
+  findUserByCalendarToken
+};
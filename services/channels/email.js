@@ -0,0 +1,70 @@
+// services/channels/email.js
+const { sendEmail, isEmailConfigured } = require('../../utils/emailService');
+const { listUpcomingBirthdays } = require('../birthdayQueryService');
+const {
+  birthdayReminderTemplate,
+  digestEmailTemplate,
+  notificationEmailTemplate
+} = require('../../utils/emailTemplates');
+
+const render = async ({ user, notification, birthday }) => {
+  const daysUntil = notification.metadata && notification.metadata.get('daysUntil');
+
+  // Digests list the birthdays as of when the digest was created
+  if (notification.type === 'digest') {
+    const windowDays = parseInt(notification.metadata.get('windowDays'), 10) || 7;
+
+    return digestEmailTemplate({
+      userName: user.name,
+      items: await listUpcomingBirthdays(user, windowDays, { now: notification.createdAt, notifiableOnly: true }),
+      windowDays,
+      frequency: notification.metadata.get('frequency')
+    });
+  }
+
+  if (birthday && daysUntil !== undefined) {
+    return birthdayReminderTemplate({
+      userName: user.name,
+      birthday,
+      daysUntil: parseInt(daysUntil, 10)
+    });
+  }
+
+  return notificationEmailTemplate({
+    userName: user.name,
+    message: notification.message
+  });
+};
+
+module.exports = {
+  name: 'email',
+  label: 'Email',
+  respectsQuietHours: true,
+
+  isConfigured: isEmailConfigured,
+
+  getSkipReason: async (user) => {
+    if (!user.email) {
+      return 'No email address';
+    }
+
+    // Optionally only mail addresses that have been confirmed
+    if (process.env.REQUIRE_VERIFIED_EMAIL === 'true' && !user.isVerified) {
+      return 'Email address not verified';
+    }
+
+    return null;
+  },
+
+  send: async (context) => {
+    const { subject, html, text } = await render(context);
+    const info = await sendEmail({ to: context.user.email, subject, html, text });
+
+    return {
+      to: context.user.email,
+      subject,
+      messageId: info.messageId,
+      transport: info.transport
+    };
+  }
+};
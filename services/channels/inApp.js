@@ -0,0 +1,24 @@
+// services/channels/inApp.js
+// The Notification document itself is the in-app record; this channel pushes
+// it to the user's open streams (tabs/devices).
+const { publishEvent } = require('../notificationEvents');
+
+module.exports = {
+  name: 'inApp',
+  label: 'In-app',
+  // Always on: the notification list is the system of record
+  required: true,
+  respectsQuietHours: false,
+
+  isConfigured: () => true,
+
+  getSkipReason: async () => null,
+
+  send: async ({ notification }) => {
+    const event = await publishEvent(notification.userId, 'notification.created', {
+      notification: notification.toObject({ flattenMaps: true })
+    });
+
+    return { eventId: event ? String(event._id) : null };
+  }
+};
@@ -0,0 +1,33 @@
+// services/channels/index.js
+// Registry of notification delivery channels. A channel is an object with:
+//   name                  unique key stored in preferences and the delivery log
+//   label                 human readable name
+//   required              cannot be switched off in preferences
+//   respectsQuietHours    deliveries are deferred during the user's quiet hours
+//   isConfigured()        whether the server can use the channel at all
+//   getSkipReason(user)   why this user cannot receive it (or null)
+//   send(context)         deliver { user, notification, birthday }; resolves to
+//                         a detail object for the log, throws on failure
+const channels = new Map();
+
+const registerChannel = (channel) => {
+  if (!channel || !channel.name || typeof channel.send !== 'function') {
+    throw new Error('A channel needs a name and a send function');
+  }
+  channels.set(channel.name, channel);
+};
+
+const getChannel = (name) => channels.get(name) || null;
+
+const listChannels = () => [...channels.values()];
+
+registerChannel(require('./inApp'));
+registerChannel(require('./email'));
+registerChannel(require('./push'));
+registerChannel(require('./webhook'));
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  listChannels
+};
@@ -0,0 +1,49 @@
+// services/channels/push.js
+const PushSubscription = require('../../models/PushSubscription');
+const { isPushConfigured, sendPushToUser } = require('../pushService');
+
+const TITLES = {
+  birthday: '🎂 Birthday Reminder',
+  reminder: '⏰ Reminder',
+  digest: '🎂 Upcoming birthdays',
+  system: 'Birthday Reminder',
+  update: 'Birthday Reminder'
+};
+
+module.exports = {
+  name: 'push',
+  label: 'Browser push',
+  respectsQuietHours: true,
+
+  isConfigured: isPushConfigured,
+
+  getSkipReason: async (user) => {
+    const devices = await PushSubscription.countDocuments({ user: user._id });
+    return devices ? null : 'No push subscriptions registered';
+  },
+
+  send: async ({ notification }) => {
+    const daysUntil = notification.metadata && notification.metadata.get('daysUntil');
+
+    const result = await sendPushToUser(notification.userId, {
+      title: daysUntil === '0' ? '🎂 Birthday today' : TITLES[notification.type] || TITLES.system,
+      body: notification.message,
+      tag: notification.birthdayId
+        ? `birthday-${notification.birthdayId}-${daysUntil}`
+        : `notification-${notification._id}`,
+      data: {
+        notificationId: String(notification._id),
+        birthdayId: notification.birthdayId ? String(notification.birthdayId) : undefined,
+        daysUntil: daysUntil !== undefined ? parseInt(daysUntil, 10) : undefined
+      }
+    });
+
+    if (!result.sent) {
+      throw new Error(result.failed
+        ? `Push failed on all ${result.failed} device(s)`
+        : 'All push subscriptions have expired');
+    }
+
+    return result;
+  }
+};
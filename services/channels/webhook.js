@@ -0,0 +1,34 @@
+// services/channels/webhook.js
+// Birthday reminders are sent to the user's webhooks as "reminder.due" events
+const Webhook = require('../../models/Webhook');
+const { emitWebhookEvent, serializeBirthday } = require('../webhookService');
+
+const REMINDER_EVENT = 'reminder.due';
+
+module.exports = {
+  name: 'webhook',
+  label: 'Webhooks',
+  // Machines do not sleep
+  respectsQuietHours: false,
+
+  isConfigured: () => true,
+
+  getSkipReason: async (user) => {
+    const webhooks = await Webhook.countDocuments({ user: user._id, active: true, events: REMINDER_EVENT });
+    return webhooks ? null : `No active webhooks subscribed to ${REMINDER_EVENT}`;
+  },
+
+  send: async ({ notification, birthday }) => {
+    const daysUntil = notification.metadata && notification.metadata.get('daysUntil');
+
+    const queued = await emitWebhookEvent(notification.userId, REMINDER_EVENT, {
+      notificationId: String(notification._id),
+      type: notification.type,
+      message: notification.message,
+      daysUntil: daysUntil !== undefined ? parseInt(daysUntil, 10) : null,
+      birthday: birthday ? serializeBirthday(birthday) : null
+    });
+
+    return { queued };
+  }
+};
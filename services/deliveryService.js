@@ -0,0 +1,277 @@
+// services/deliveryService.js
+// Fans a stored notification out to the channels the user selected for its
+// type, logging one Delivery per channel. Failed deliveries are retried with
+// backoff and ones held back by quiet hours are sent when the quiet period ends.
+const Delivery = require('../models/Delivery');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const Birthday = require('../models/Birthday');
+const User = require('../models/User');
+const { getChannel } = require('./channels');
+const { registerJob } = require('./jobScheduler');
+
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BACKOFF_MS = 5 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+const USER_FIELDS = 'name email isVerified timezone';
+
+// Channels for a notification type; required channels are always included
+const selectChannels = (preferences, type) => {
+  const names = preferences
+    ? preferences.getChannelsFor(type)
+    : [...(NotificationPreference.DEFAULT_CHANNELS[type] || ['inApp'])];
+
+  if (!names.includes('inApp')) names.unshift('inApp');
+
+  return [...new Set(names)].map(getChannel).filter(Boolean);
+};
+
+// Try a delivery once and store the outcome on it
+const attemptDelivery = async (delivery, context) => {
+  const channel = getChannel(delivery.channel);
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const skipReason = !channel
+      ? 'Channel is no longer available'
+      : !channel.isConfigured()
+        ? 'Channel is not configured on this server'
+        : await channel.getSkipReason(context.user);
+
+    if (skipReason) {
+      delivery.status = 'skipped';
+      delivery.lastError = skipReason;
+      delivery.nextAttemptAt = undefined;
+      return await delivery.save();
+    }
+
+    delivery.attempts += 1;
+    delivery.detail = await channel.send(context) || {};
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+  } catch (error) {
+    console.error(`${delivery.channel} delivery ${delivery._id} failed (attempt ${delivery.attempts}):`, error.message);
+    delivery.status = 'failed';
+    delivery.lastError = error.message;
+    // Exponential backoff while attempts remain
+    delivery.nextAttemptAt = delivery.attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + RETRY_BACKOFF_MS * 2 ** (delivery.attempts - 1))
+      : undefined;
+  }
+
+  return delivery.save();
+};
+
+// Deliver a saved notification on every selected channel.
+// Never throws: the notification is already stored, channels are best effort.
+const dispatchNotification = async (notification, { birthday = null } = {}) => {
+  const deliveries = [];
+
+  try {
+    const [user, preferences] = await Promise.all([
+      User.findById(notification.userId).select(USER_FIELDS),
+      NotificationPreference.findOne({ user: notification.userId })
+    ]);
+    if (!user) return deliveries;
+
+    if (!birthday && notification.birthdayId) {
+      birthday = await Birthday.findById(notification.birthdayId);
+    }
+
+    const now = new Date();
+    const quietUntil = preferences ? preferences.getQuietHoursEnd(now, user.timezone || 'UTC') : null;
+    const context = { user, notification, birthday };
+
+    for (const channel of selectChannels(preferences, notification.type)) {
+      const delivery = new Delivery({
+        userId: notification.userId,
+        notificationId: notification._id,
+        birthdayId: notification.birthdayId,
+        channel: channel.name,
+        type: notification.type
+      });
+
+      try {
+        if (quietUntil && channel.respectsQuietHours) {
+          delivery.status = 'deferred';
+          delivery.nextAttemptAt = quietUntil;
+          deliveries.push(await delivery.save());
+        } else {
+          deliveries.push(await attemptDelivery(delivery, context));
+        }
+      } catch (error) {
+        console.error(`Error delivering notification ${notification._id} via ${channel.name}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error(`Error dispatching notification ${notification._id}:`, error);
+  }
+
+  return deliveries;
+};
+
+// Send deliveries that are due: deferred by quiet hours or waiting for a retry
+const processDueDeliveries = async (now = new Date()) => {
+  const deliveries = await Delivery.find({
+    status: { $in: ['deferred', 'failed'] },
+    nextAttemptAt: { $lte: now }
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(SWEEP_BATCH_SIZE);
+
+  const stats = { processed: 0, sent: 0 };
+
+  for (const delivery of deliveries) {
+    const [notification, user] = await Promise.all([
+      Notification.findById(delivery.notificationId),
+      User.findById(delivery.userId).select(USER_FIELDS)
+    ]);
+
+    if (!notification || !user) {
+      delivery.status = 'skipped';
+      delivery.lastError = 'Notification was deleted before it could be sent';
+      delivery.nextAttemptAt = undefined;
+      await delivery.save();
+      continue;
+    }
+
+    const birthday = notification.birthdayId ? await Birthday.findById(notification.birthdayId) : null;
+    await attemptDelivery(delivery, { user, notification, birthday });
+
+    stats.processed++;
+    if (delivery.status === 'sent') stats.sent++;
+  }
+
+  if (stats.processed) {
+    console.log(`Processed ${stats.processed} queued deliveries (${stats.sent} sent)`);
+  }
+
+  return stats;
+};
+
+const DELIVERY_SWEEP_JOB = 'delivery-sweep';
+
+// One slot every 15 minutes
+const getSweepSlot = (now) => {
+  const runAt = new Date(now);
+  runAt.setUTCMinutes(runAt.getUTCMinutes() - (runAt.getUTCMinutes() % 15), 0, 0);
+
+  return {
+    key: `${DELIVERY_SWEEP_JOB}:${runAt.toISOString().slice(0, 16)}`,
+    runAt
+  };
+};
+
+const LEGACY_EMAIL_COLLECTION = 'emaildeliveries';
+const MIGRATION_BATCH_SIZE = 500;
+
+// One-off move of the email log kept before channels existed (the old
+// EmailDelivery model) into Delivery with channel "email". Rows keep their
+// ids, so an interrupted run can simply start again; afterwards the old
+// collection is renamed to emaildeliveries_migrated rather than dropped.
+// Nothing is re-sent: migrated rows have no nextAttemptAt.
+const migrateEmailDeliveries = async () => {
+  const db = Delivery.db.db;
+  const [legacy] = await db.listCollections({ name: LEGACY_EMAIL_COLLECTION }).toArray();
+  if (!legacy) return 0;
+
+  // Raw inserts store undefined as null, so only copy the fields a row has
+  const toDelivery = (row) => Object.fromEntries(Object.entries({
+    _id: row._id,
+    userId: row.userId,
+    notificationId: row.notificationId,
+    birthdayId: row.birthdayId,
+    channel: 'email',
+    // The old log left unsent mail "pending"; those are not picked up again
+    status: row.status === 'sent' ? 'sent' : 'failed',
+    attempts: row.attempts || 0,
+    lastError: row.status === 'pending' ? row.lastError || 'Not sent before the delivery log was introduced' : row.lastError,
+    detail: Object.fromEntries(['to', 'subject', 'messageId', 'transport']
+      .filter(field => row[field] !== undefined)
+      .map(field => [field, row[field]])),
+    sentAt: row.sentAt,
+    lastAttemptAt: row.lastAttemptAt,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  }).filter(([, value]) => value !== undefined));
+
+  const insert = async (rows) => {
+    try {
+      const result = await Delivery.collection.insertMany(rows.map(toDelivery), { ordered: false });
+      return result.insertedCount;
+    } catch (error) {
+      // Rows copied by an earlier, interrupted run are already there
+      const writeErrors = [].concat(error.writeErrors || error);
+      if (!writeErrors.every(writeError => writeError.code === 11000)) {
+        throw error;
+      }
+      return error.result ? error.result.insertedCount : 0;
+    }
+  };
+
+  let migrated = 0;
+  let batch = [];
+  for await (const row of db.collection(LEGACY_EMAIL_COLLECTION).find()) {
+    batch.push(row);
+    if (batch.length >= MIGRATION_BATCH_SIZE) {
+      migrated += await insert(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) migrated += await insert(batch);
+
+  await db.collection(LEGACY_EMAIL_COLLECTION).rename(`${LEGACY_EMAIL_COLLECTION}_migrated`);
+  console.log(`Moved ${migrated} email deliveries into the delivery log`);
+  return migrated;
+};
+
+const scheduleDeliverySweep = () => {
+  migrateEmailDeliveries().catch(error => {
+    console.error('Error migrating email deliveries:', error);
+  });
+
+  registerJob(DELIVERY_SWEEP_JOB, () => processDueDeliveries(), {
+    schedule: getSweepSlot,
+    leaseMs: 5 * 60 * 1000,
+    maxAttempts: 1
+  });
+};
+
+// Delivery log for a user, newest first
+const listDeliveries = async (userId, query = {}) => {
+  const filter = { userId };
+  if (query.channel) filter.channel = query.channel;
+  if (query.status) filter.status = query.status;
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 100);
+
+  const [deliveries, total] = await Promise.all([
+    Delivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('birthdayId', 'name date'),
+    Delivery.countDocuments(filter)
+  ]);
+
+  return {
+    deliveries,
+    total,
+    page,
+    limit,
+    totalPages: Math.max(Math.ceil(total / limit), 1)
+  };
+};
+
+module.exports = {
+  DELIVERY_SWEEP_JOB,
+  dispatchNotification,
+  processDueDeliveries,
+  scheduleDeliverySweep,
+  migrateEmailDeliveries,
+  listDeliveries
+};
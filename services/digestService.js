@@ -0,0 +1,113 @@
+// services/digestService.js
+// Opt-in digests: one notification summarising every birthday coming up in the
+// next N days, sent daily or on a chosen weekday at the user's reminder hour.
+const User = require('../models/User');
+const { createNotification } = require('./notificationService');
+const { listUpcomingBirthdays } = require('./birthdayQueryService');
+const { getZonedParts, formatDateParts } = require('../utils/dateUtils');
+
+const NAMES_IN_MESSAGE = 5;
+
+const describeDays = (daysUntil) => {
+  if (daysUntil === 0) return 'today';
+  if (daysUntil === 1) return 'tomorrow';
+  return `in ${daysUntil} days`;
+};
+
+// Short in-app text; the email lists everything
+const buildDigestMessage = (items, windowDays) => {
+  const names = items
+    .slice(0, NAMES_IN_MESSAGE)
+    .map(({ birthday, daysUntil }) => `${birthday.name} ${describeDays(daysUntil)}`);
+
+  if (items.length > NAMES_IN_MESSAGE) {
+    names.push(`and ${items.length - NAMES_IN_MESSAGE} more`);
+  }
+
+  const count = items.length === 1 ? '1 birthday' : `${items.length} birthdays`;
+  return `🎂 ${count} in the next ${windowDays} days: ${names.join(', ')}`;
+};
+
+// Is this user's digest due at the given local time?
+const isDigestDue = (user, local) => {
+  const reminderHour = user.reminderHour == null ? 8 : user.reminderHour;
+  if (local.hour < reminderHour) return false;
+
+  if (user.digest.frequency === 'weekly') {
+    const weekday = new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay();
+    return weekday === user.digest.dayOfWeek;
+  }
+
+  return true;
+};
+
+// Mark today's digest as taken so only one instance (and one run) sends it
+const claimDigest = async (user, date) => {
+  const result = await User.updateOne(
+    { _id: user._id, 'digest.lastSentOn': { $ne: date } },
+    { $set: { 'digest.lastSentOn': date } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Send one user's digest if it is due; resolves to true when a digest was created
+const sendDigest = async (user, now) => {
+  const local = getZonedParts(now, user.timezone || 'UTC');
+  if (!isDigestDue(user, local)) return false;
+
+  const date = formatDateParts(local);
+  if (!await claimDigest(user, date)) return false;
+
+  try {
+    const windowDays = user.digest.windowDays || 7;
+    const items = await listUpcomingBirthdays(user, windowDays, { now, notifiableOnly: true });
+
+    // Nothing coming up: stay quiet rather than send an empty digest
+    if (!items.length) return false;
+
+    await createNotification(
+      user._id,
+      buildDigestMessage(items, windowDays),
+      'digest',
+      {
+        count: String(items.length),
+        windowDays: String(windowDays),
+        frequency: user.digest.frequency,
+        date
+      }
+    );
+    return true;
+  } catch (error) {
+    // Release the claim so the next hourly run can try again
+    const previous = user.digest.lastSentOn;
+    await User.updateOne(
+      { _id: user._id, 'digest.lastSentOn': date },
+      previous ? { $set: { 'digest.lastSentOn': previous } } : { $unset: { 'digest.lastSentOn': 1 } }
+    ).catch(() => {});
+    throw error;
+  }
+};
+
+// Send every digest that is due now
+const sendDueDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  const cursor = User.find({ 'digest.enabled': true, isDisabled: { $ne: true } })
+    .select('timezone reminderHour digest')
+    .cursor();
+
+  for await (const user of cursor) {
+    try {
+      if (await sendDigest(user, now)) sent++;
+    } catch (error) {
+      console.error(`Error sending digest to user ${user._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  buildDigestMessage,
+  sendDueDigests
+};
@@ -0,0 +1,151 @@
+// services/exportService.js
+const path = require('path');
+const Birthday = require('../models/Birthday');
+const { getStorage } = require('./storage');
+const { formatCsvRow } = require('../utils/csv');
+const { formatVCard } = require('../utils/vcard');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' }
+};
+
+// Same column names the CSV importer recognises
+const CSV_COLUMNS = [
+  'name',
+  'date',
+  'relationship',
+  'notes',
+  'notifyBefore',
+  'reminderOffsets',
+  'allowNotifications',
+  'photoUrl'
+];
+
+const PHOTO_TYPES = {
+  '.jpg': 'JPEG',
+  '.jpeg': 'JPEG',
+  '.png': 'PNG',
+  '.gif': 'GIF',
+  '.webp': 'WEBP'
+};
+
+// Portable representation of a birthday
+const toRecord = (birthday, photoUrl) => ({
+  name: birthday.name,
+  date: birthday.date.toISOString().slice(0, 10),
+  relationship: birthday.relationship || '',
+  notes: birthday.notes || '',
+  notifyBefore: birthday.notifyBefore,
+  reminderOffsets: birthday.reminderOffsets && birthday.reminderOffsets.length ? [...birthday.reminderOffsets] : [],
+  allowNotifications: birthday.allowNotifications !== false,
+  photoUrl
+});
+
+// Absolute photo URL; local storage gives paths relative to the API.
+// Photo links are signed and stop working once they expire.
+const getPhotoUrl = async (image, baseUrl) => {
+  const url = await getStorage().getUrl(image);
+  return /^https?:\/\//.test(url) ? url : `${baseUrl}/api${url}`;
+};
+
+// Read an uploaded photo for embedding; missing files are skipped
+const readPhoto = async (image) => {
+  try {
+    const data = await getStorage().get(image);
+    return data ? { data, type: PHOTO_TYPES[path.extname(image).toLowerCase()] || 'JPEG' } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Stream every birthday on a user's own list to res in the requested format.
+// photos: 'link' (default) adds a URL, 'embed' inlines the image, 'none' omits it.
+const streamBirthdayExport = async (res, user, { format, photos = 'link', baseUrl }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  // The user's own list; group birthdays belong to the group
+  const cursor = Birthday.find({ user: user._id, group: null }).sort({ name: 1 }).cursor();
+  let first = true;
+
+  // Stop reading once the client is gone, and wait for slow clients instead of
+  // buffering the whole export (embedded photos included) in memory
+  let closed = false;
+  res.once('close', () => { closed = true; });
+  const write = async (chunk) => {
+    if (res.write(chunk) || closed) return;
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  };
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="birthdays-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (format === 'csv') {
+    await write('﻿' + formatCsvRow(CSV_COLUMNS));
+  } else if (format === 'json') {
+    await write(`{"exportedAt":${JSON.stringify(new Date().toISOString())},"user":${JSON.stringify({ name: user.name, email: user.email })},"birthdays":[`);
+  }
+
+  try {
+    for await (const birthday of cursor) {
+      if (closed) break;
+
+      const photoUrl = birthday.image && photos !== 'none' ? await getPhotoUrl(birthday.image, baseUrl) : null;
+      const record = toRecord(birthday, photoUrl);
+      const photo = birthday.image && photos === 'embed' ? await readPhoto(birthday.image) : null;
+
+      if (format === 'csv') {
+        await write(formatCsvRow(CSV_COLUMNS.map(column =>
+          column === 'reminderOffsets' ? record.reminderOffsets.join(';') : record[column]
+        )));
+      } else if (format === 'json') {
+        if (photo) {
+          record.photo = { type: photo.type, data: photo.data.toString('base64') };
+        }
+        await write((first ? '' : ',') + JSON.stringify(record));
+      } else {
+        await write(formatVCard({
+          name: record.name,
+          birthday: record.date,
+          note: record.notes,
+          extensions: {
+            'X-RELATIONSHIP': record.relationship,
+            'X-NOTIFY-BEFORE': record.notifyBefore,
+            'X-REMINDER-OFFSETS': record.reminderOffsets.join(';'),
+            'X-ALLOW-NOTIFICATIONS': String(record.allowNotifications)
+          },
+          photo: photo || (record.photoUrl ? { url: record.photoUrl } : null)
+        }));
+      }
+
+      first = false;
+    }
+  } finally {
+    // Breaking out of the loop does not close a mongoose cursor
+    await cursor.close().catch(() => {});
+  }
+
+  if (closed) return;
+
+  if (format === 'json') {
+    await write(']}');
+  }
+
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamBirthdayExport
+};
@@ -0,0 +1,392 @@
+// services/groupService.js
+// Shared birthday lists. A birthday with a group belongs to that group: every
+// member sees it and gets reminders for it, owners and editors can change it.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupInvitation = require('../models/GroupInvitation');
+const Birthday = require('../models/Birthday');
+const User = require('../models/User');
+const { sendEmail } = require('../utils/emailService');
+const { getAppUrl, groupInvitationTemplate } = require('../utils/emailTemplates');
+
+const EDIT_ROLES = ['owner', 'editor'];
+const MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS, 10) || 50;
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const groupError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Ids of the groups a user belongs to, optionally only where they hold one of `roles`
+const getGroupIds = async (userId, roles) => {
+  const member = { user: toObjectId(userId) };
+  if (roles) member.role = { $in: roles };
+
+  return Group.find({ members: { $elemMatch: member } }).distinct('_id');
+};
+
+// Mongo filter for every birthday a user can see: their own list plus their groups'.
+// Built with ObjectIds so it also works in aggregation pipelines.
+const birthdayAccessFilter = async (userId) => {
+  const groupIds = await getGroupIds(userId);
+
+  return {
+    $or: [
+      { user: toObjectId(userId), group: null },
+      { group: { $in: groupIds } }
+    ]
+  };
+};
+
+// A birthday the user can see, with their role for it ('owner' on their own
+// list), or null when it does not exist or they have no access
+const getBirthdayAccess = async (userId, birthdayId) => {
+  if (!mongoose.Types.ObjectId.isValid(birthdayId)) return null;
+
+  const birthday = await Birthday.findById(birthdayId);
+  if (!birthday) return null;
+
+  if (!birthday.group) {
+    return String(birthday.user) === String(userId) ? { birthday, role: 'owner' } : null;
+  }
+
+  const group = await Group.findById(birthday.group).select('members');
+  const role = group && group.getRole(userId);
+  return role ? { birthday, role } : null;
+};
+
+// Validate the group a birthday is added to or moved into.
+// Resolves to the group id, or null for the user's own list.
+const resolveBirthdayGroup = async (userId, groupId) => {
+  if (!groupId || groupId === 'null') return null;
+
+  await getMemberGroup(userId, groupId, EDIT_ROLES);
+  return toObjectId(groupId);
+};
+
+// User ids of the members of each group, by group id
+const getGroupMembers = async (groupIds) => {
+  const groups = await Group.find({ _id: { $in: groupIds } }).select('members.user');
+  return new Map(groups.map(group => [String(group._id), group.members.map(member => member.user)]));
+};
+
+// Everyone a birthday concerns: the group's members, or the user for their own list
+const getBirthdayAudience = async (birthday) => {
+  if (!birthday.group) return [birthday.user];
+
+  const members = await getGroupMembers([birthday.group]);
+  return members.get(String(birthday.group)) || [];
+};
+
+// Load a group the user is a member of. Throws 404 when they are not a member
+// (so group ids are not confirmed to outsiders) and 403 when their role is not in `roles`.
+const getMemberGroup = async (userId, groupId, roles) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    throw groupError('Group not found', 404);
+  }
+
+  const group = await Group.findById(groupId);
+  const role = group && group.getRole(userId);
+  if (!role) {
+    throw groupError('Group not found', 404);
+  }
+  if (roles && !roles.includes(role)) {
+    throw groupError(role === 'viewer'
+      ? 'Viewers cannot change this group'
+      : 'Only the group owner can do that', 403);
+  }
+
+  return group;
+};
+
+// Groups of a user with their own role and the member count
+const listGroups = async (userId) => {
+  const groups = await Group.find({ 'members.user': toObjectId(userId) }).sort({ name: 1 });
+
+  return groups.map(group => ({
+    id: group._id,
+    name: group.name,
+    role: group.getRole(userId),
+    memberCount: group.members.length,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  }));
+};
+
+// Group details with members; open invitations are only shown to the owner
+const getGroupDetails = async (userId, groupId) => {
+  const group = await getMemberGroup(userId, groupId);
+  await group.populate('members.user', 'name email');
+
+  const role = group.getRole(userId);
+  const birthdayCount = await Birthday.countDocuments({ group: group._id });
+
+  return {
+    id: group._id,
+    name: group.name,
+    role,
+    birthdayCount,
+    members: group.members
+      .filter(member => member.user)
+      .map(member => ({
+        id: member.user._id,
+        name: member.user.name,
+        email: member.user.email,
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+    invitations: role === 'owner' ? await listInvitations(group) : undefined,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  };
+};
+
+const createGroup = async (userId, name) => {
+  return Group.create({
+    name,
+    members: [{ user: userId, role: 'owner' }]
+  });
+};
+
+const renameGroup = async (userId, groupId, name) => {
+  const group = await getMemberGroup(userId, groupId, ['owner']);
+  group.name = name;
+  await group.save();
+  return group;
+};
+
+// Delete a group. Its birthdays go back to the lists of whoever added them.
+const deleteGroup = async (userId, groupId) => {
+  const group = await getMemberGroup(userId, groupId, ['owner']);
+
+  await Birthday.updateMany({ group: group._id }, { $set: { group: null } });
+  await GroupInvitation.deleteMany({ group: group._id });
+  await group.deleteOne();
+
+  return group;
+};
+
+const listInvitations = async (group) => {
+  const invitations = await GroupInvitation.find({ group: group._id, expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: -1 });
+
+  return invitations.map(invitation => ({
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt
+  }));
+};
+
+// Invite an email address to a group, or renew the open invitation for it.
+// The link is only returned when the email fails, so the owner can pass it on.
+const inviteMember = async (inviter, groupId, { email, role = 'viewer' }) => {
+  const group = await getMemberGroup(inviter._id, groupId, ['owner']);
+  const address = String(email || '').trim().toLowerCase();
+
+  if (!address) {
+    throw groupError('Please add an email');
+  }
+  if (!['editor', 'viewer'].includes(role)) {
+    throw groupError('Role must be editor or viewer');
+  }
+  if (group.members.length >= MAX_MEMBERS) {
+    throw groupError(`A group can have at most ${MAX_MEMBERS} members`);
+  }
+
+  const existing = await User.findOne({ email: address }).select('_id');
+  if (existing && group.getRole(existing._id)) {
+    throw groupError('That person is already a member of this group');
+  }
+
+  const token = crypto.randomBytes(20).toString('hex');
+  const invitation = await GroupInvitation.findOneAndUpdate(
+    { group: group._id, email: address },
+    {
+      role,
+      invitedBy: inviter._id,
+      token: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const inviteUrl = `${getAppUrl()}/invitations/${token}`;
+  let emailSent = true;
+
+  try {
+    await sendEmail({
+      to: address,
+      ...groupInvitationTemplate({ inviterName: inviter.name, groupName: group.name, role, inviteUrl })
+    });
+  } catch (error) {
+    console.error(`Error sending group invitation to ${address}:`, error.message);
+    emailSent = false;
+  }
+
+  return {
+    invitation: {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    },
+    inviteUrl: emailSent ? undefined : inviteUrl,
+    emailSent
+  };
+};
+
+const revokeInvitation = async (userId, groupId, invitationId) => {
+  const group = await getMemberGroup(userId, groupId, ['owner']);
+
+  const invitation = mongoose.Types.ObjectId.isValid(invitationId)
+    ? await GroupInvitation.findOneAndDelete({ _id: invitationId, group: group._id })
+    : null;
+  if (!invitation) {
+    throw groupError('Invitation not found', 404);
+  }
+
+  return invitation;
+};
+
+// Open invitation for a link token (with the group and inviter names), or a 404
+const findInvitation = async (token) => {
+  const invitation = await GroupInvitation.findOne({
+    token: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('group', 'name')
+    .populate('invitedBy', 'name');
+
+  if (!invitation || !invitation.group) {
+    throw groupError('Invitation not found or expired', 404);
+  }
+
+  return invitation;
+};
+
+const describeInvitation = (invitation) => ({
+  group: { id: invitation.group._id, name: invitation.group.name },
+  role: invitation.role,
+  email: invitation.email,
+  invitedBy: invitation.invitedBy ? invitation.invitedBy.name : null,
+  expiresAt: invitation.expiresAt
+});
+
+// Join the group of an invitation. Only the invited address can accept, from
+// an account that has verified it, so a forwarded or leaked link is not enough.
+const acceptInvitation = async (user, token) => {
+  const invitation = await findInvitation(token);
+  const groupId = invitation.group._id;
+  const userId = user._id;
+
+  if (String(user.email).toLowerCase() !== invitation.email) {
+    throw groupError('This invitation was sent to a different email address', 403);
+  }
+  if (!user.isVerified) {
+    throw groupError('Please verify your email address before joining a group', 403);
+  }
+
+  // Atomic so two accepts (or a full group) cannot add a member twice
+  const result = await Group.updateOne(
+    {
+      _id: groupId,
+      'members.user': { $ne: toObjectId(userId) },
+      [`members.${MAX_MEMBERS - 1}`]: { $exists: false }
+    },
+    { $push: { members: { user: userId, role: invitation.role, joinedAt: new Date() } } }
+  );
+
+  if (!result.modifiedCount) {
+    const group = await Group.findById(groupId).select('members');
+    if (!group || !group.getRole(userId)) {
+      throw groupError(`A group can have at most ${MAX_MEMBERS} members`);
+    }
+    // Already a member: nothing to join, but the invitation is used up either way
+  }
+
+  await invitation.deleteOne();
+  return invitation;
+};
+
+const declineInvitation = async (token) => {
+  const invitation = await findInvitation(token);
+  await invitation.deleteOne();
+  return invitation;
+};
+
+// Change a member's role. Making someone the owner hands the group over and
+// turns the current owner into an editor.
+const updateMemberRole = async (userId, groupId, memberId, role) => {
+  const group = await getMemberGroup(userId, groupId, ['owner']);
+
+  if (!Group.ROLES.includes(role)) {
+    throw groupError(`Role must be one of: ${Group.ROLES.join(', ')}`);
+  }
+
+  const member = group.members.find(member => String(member.user) === String(memberId));
+  if (!member) {
+    throw groupError('Member not found', 404);
+  }
+  if (String(memberId) === String(userId)) {
+    throw groupError('Make another member the owner to give up ownership');
+  }
+
+  if (role === 'owner') {
+    group.members.find(member => String(member.user) === String(userId)).role = 'editor';
+  }
+  member.role = role;
+  await group.save();
+
+  return group;
+};
+
+// Remove a member (owner only) or leave a group (anyone but the owner)
+const removeMember = async (userId, groupId, memberId) => {
+  const leaving = String(memberId) === String(userId);
+  const group = await getMemberGroup(userId, groupId, leaving ? undefined : ['owner']);
+
+  const member = group.members.find(member => String(member.user) === String(memberId));
+  if (!member) {
+    throw groupError('Member not found', 404);
+  }
+  if (member.role === 'owner') {
+    throw groupError('The owner cannot leave; make another member the owner or delete the group');
+  }
+
+  group.members = group.members.filter(other => other !== member);
+  await group.save();
+
+  return group;
+};
+
+module.exports = {
+  EDIT_ROLES,
+  getGroupIds,
+  birthdayAccessFilter,
+  getBirthdayAccess,
+  resolveBirthdayGroup,
+  getGroupMembers,
+  getBirthdayAudience,
+  listGroups,
+  getGroupDetails,
+  createGroup,
+  renameGroup,
+  deleteGroup,
+  inviteMember,
+  revokeInvitation,
+  findInvitation,
+  describeInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+};
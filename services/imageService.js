@@ -0,0 +1,261 @@
+// services/imageService.js
+// Birthday photo pipeline: uploads are identified by their magic bytes, then
+// auto-rotated, stripped of EXIF/metadata and re-encoded into fixed variants,
+// which are kept in the configured storage backend (see services/storage).
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const Birthday = require('../models/Birthday');
+const { getStorage } = require('./storage');
+const { registerJob } = require('./jobScheduler');
+
+// Image storage allowed per user (all variants of all photos)
+const STORAGE_QUOTA_BYTES = (parseInt(process.env.STORAGE_QUOTA_MB, 10) || 50) * 1024 * 1024;
+
+// Unreferenced files younger than this may belong to an upload still being saved
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// thumb: square crop for lists and avatars, full: bounded size for detail views
+const IMAGE_VARIANTS = {
+  thumb: { width: 256, height: 256, fit: 'cover' },
+  full: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+// Names this app gives uploads: <uuid>-<variant>.webp|jpg, or <uuid>.<ext> from
+// before variants. Cleanup leaves anything else in storage alone.
+const UPLOAD_KEY = new RegExp(
+  `^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}` +
+  `(-(${Object.keys(IMAGE_VARIANTS).join('|')})\\.(webp|jpg)|\\.[a-z0-9]{1,5})$`,
+  'i'
+);
+
+// Reject decompression bombs before decoding
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const imageError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Identify an image from its first bytes; the client's mimetype and file
+// extension are not trusted. Returns 'jpeg', 'png', 'gif', 'webp', 'avif' or null.
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('latin1', 8, 12))) return 'avif';
+
+  return null;
+};
+
+// Every stored file that belongs to a birthday's (or processed upload's) image
+const getImageFiles = (record) => {
+  if (!record || !record.image) return [];
+
+  const files = [record.image];
+  const variants = record.imageVariants || {};
+  for (const name of Object.keys(IMAGE_VARIANTS)) {
+    if (variants[name]) files.push(variants[name].webp, variants[name].jpeg);
+  }
+
+  return [...new Set(files.filter(Boolean))];
+};
+
+// Query matching the birthday that owns a stored file (the main image or any variant)
+const imageKeyQuery = (key) => ({
+  $or: [
+    { image: key },
+    ...Object.keys(IMAGE_VARIANTS).flatMap(name => [
+      { [`imageVariants.${name}.webp`]: key },
+      { [`imageVariants.${name}.jpeg`]: key }
+    ])
+  ]
+});
+
+// Remove stored files; already missing files are ignored and errors only logged
+// (the reconciler picks up anything left behind)
+const deleteImageFiles = async (files) => {
+  const storage = getStorage();
+
+  await Promise.all(files.map(async (file) => {
+    try {
+      await storage.delete(file);
+    } catch (error) {
+      console.error(`Error deleting upload ${file}:`, error.message);
+    }
+  }));
+};
+
+// Encode one variant as WebP and JPEG next to each other.
+// Keys are added to `written` before storing so a failure can be rolled back.
+const writeVariant = async (input, id, name, { width, height, fit }, written) => {
+  const resized = input.clone().resize({
+    width,
+    height,
+    fit,
+    position: 'attention',
+    withoutEnlargement: true
+  });
+
+  const webp = `${id}-${name}.webp`;
+  const jpeg = `${id}-${name}.jpg`;
+
+  const [webpOutput, jpegOutput] = await Promise.all([
+    resized.clone().webp({ quality: 80 }).toBuffer({ resolveWithObject: true }),
+    resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer({ resolveWithObject: true })
+  ]);
+
+  const storage = getStorage();
+  written.push(webp, jpeg);
+  await Promise.all([
+    storage.put(webp, webpOutput.data, 'image/webp'),
+    storage.put(jpeg, jpegOutput.data, 'image/jpeg')
+  ]);
+
+  return {
+    webp,
+    jpeg,
+    width: webpOutput.info.width,
+    height: webpOutput.info.height,
+    bytes: webpOutput.info.size + jpegOutput.info.size
+  };
+};
+
+// Process an uploaded image buffer into every variant in storage.
+// Resolves to { image, imageVariants, imageBytes } ready to store on a Birthday,
+// where image is the full-size JPEG (for clients and exports that expect one file).
+const processImage = async (buffer) => {
+  if (!detectImageType(buffer)) {
+    throw imageError('Only JPEG, PNG, GIF, WebP or AVIF images are allowed!');
+  }
+
+  const id = uuidv4();
+  const written = [];
+
+  try {
+    // rotate() applies the EXIF orientation; metadata is dropped on output
+    const input = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+    await input.metadata();
+
+    const imageVariants = {};
+    let imageBytes = 0;
+    for (const [name, options] of Object.entries(IMAGE_VARIANTS)) {
+      const { bytes, ...variant } = await writeVariant(input, id, name, options, written);
+      imageVariants[name] = variant;
+      imageBytes += bytes;
+    }
+
+    return {
+      image: imageVariants.full.jpeg,
+      imageVariants,
+      imageBytes
+    };
+  } catch (error) {
+    await deleteImageFiles(written);
+
+    if (error.status) throw error;
+    console.error('Image processing failed:', error.message);
+    throw imageError('The image could not be read. Please upload a valid photo.');
+  }
+};
+
+// Image bytes stored for a user; excludeBirthdayId leaves out a photo about to be replaced
+const getStorageUsage = async (userId, excludeBirthdayId = null) => {
+  const match = { user: new mongoose.Types.ObjectId(userId), image: { $ne: null } };
+  if (excludeBirthdayId && mongoose.Types.ObjectId.isValid(excludeBirthdayId)) {
+    match._id = { $ne: new mongoose.Types.ObjectId(excludeBirthdayId) };
+  }
+
+  const [result] = await Birthday.aggregate([
+    { $match: match },
+    { $group: { _id: null, bytes: { $sum: { $ifNull: ['$imageBytes', 0] } }, images: { $sum: 1 } } }
+  ]);
+
+  return {
+    used: result ? result.bytes : 0,
+    images: result ? result.images : 0,
+    quota: STORAGE_QUOTA_BYTES
+  };
+};
+
+// Total stored size of a set of files (missing files count as 0)
+const getFilesSize = async (files) => {
+  const storage = getStorage();
+  const stats = await Promise.all(files.map(file => storage.stat(file).catch(() => null)));
+  return stats.reduce((total, stat) => total + (stat ? stat.size : 0), 0);
+};
+
+// Remove stored files that no birthday references, and record sizes for
+// photos uploaded before imageBytes was tracked
+const reconcileUploads = async (now = new Date()) => {
+  const stats = { files: 0, removed: 0, bytesFreed: 0, sized: 0 };
+  const storage = getStorage();
+
+  const referenced = new Set();
+  const cursor = Birthday.find({ image: { $ne: null } }).select('image imageVariants imageBytes').cursor();
+
+  for await (const birthday of cursor) {
+    const files = getImageFiles(birthday);
+    files.forEach(file => referenced.add(file));
+
+    if (birthday.imageBytes == null) {
+      await Birthday.updateOne({ _id: birthday._id }, { $set: { imageBytes: await getFilesSize(files) } });
+      stats.sized++;
+    }
+  }
+
+  // Files written after the scan above are protected by the grace period
+  for await (const file of storage.list()) {
+    stats.files++;
+
+    if (referenced.has(file.key) || !UPLOAD_KEY.test(file.key)) continue;
+    if (!file.lastModified || now - file.lastModified < ORPHAN_GRACE_MS) continue;
+
+    await deleteImageFiles([file.key]);
+    stats.removed++;
+    stats.bytesFreed += file.size || 0;
+  }
+
+  console.log(`Upload reconciliation (${storage.name}): ${stats.files} files checked, ${stats.removed} orphans removed (${Math.round(stats.bytesFreed / 1024)} KB)`);
+  return stats;
+};
+
+const IMAGE_RECONCILE_JOB = 'image-reconcile';
+
+// Once a day at 03:00 UTC
+const getDailySlot = (now) => {
+  const runAt = new Date(now);
+  runAt.setUTCHours(3, 0, 0, 0);
+  if (runAt > now) runAt.setUTCDate(runAt.getUTCDate() - 1);
+
+  return {
+    key: `${IMAGE_RECONCILE_JOB}:${runAt.toISOString().slice(0, 10)}`,
+    runAt
+  };
+};
+
+const scheduleUploadReconciliation = () => {
+  registerJob(IMAGE_RECONCILE_JOB, () => reconcileUploads(), {
+    schedule: getDailySlot,
+    leaseMs: 30 * 60 * 1000,
+    maxAttempts: 3,
+    backoffMs: 15 * 60 * 1000
+  });
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  IMAGE_RECONCILE_JOB,
+  detectImageType,
+  processImage,
+  getImageFiles,
+  imageKeyQuery,
+  deleteImageFiles,
+  getStorageUsage,
+  reconcileUploads,
+  scheduleUploadReconciliation
+};
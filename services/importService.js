@@ -0,0 +1,278 @@
+// services/importService.js
+const Birthday = require('../models/Birthday');
+const { emitWebhookEvent, serializeBirthday } = require('./webhookService');
+const { parseCsvWithHeader } = require('../utils/csv');
+const { parseVCards, getValue, parseBirthdayValue } = require('../utils/vcard');
+const { formatDateParts } = require('../utils/dateUtils');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// Column names recognised without an explicit mapping (compared case-insensitively)
+const DEFAULT_COLUMNS = {
+  name: ['name', 'full name', 'fullname', 'display name', 'contact'],
+  date: ['date', 'birthday', 'birth date', 'birthdate', 'dob', 'date of birth'],
+  relationship: ['relationship', 'relation', 'group'],
+  notes: ['notes', 'note', 'comment', 'comments'],
+  notifyBefore: ['notifybefore', 'notify before', 'remind before'],
+  reminderOffsets: ['reminderoffsets', 'reminder offsets'],
+  allowNotifications: ['allownotifications', 'allow notifications', 'notifications']
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Problems with the file as a whole are reported as 400s
+const importError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Turn { year, month, day } into a UTC Date, rejecting impossible dates
+const toDate = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+// Parse a spreadsheet date in the requested format
+const parseCsvDate = (value, dateFormat) => {
+  const trimmed = (value || '').trim();
+
+  if (dateFormat === 'YYYY-MM-DD') {
+    const match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:T.*)?$/);
+    return match ? toDate({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }) : null;
+  }
+
+  const match = trimmed.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (!match) return null;
+
+  return dateFormat === 'DD/MM/YYYY'
+    ? toDate({ year: Number(match[3]), month: Number(match[2]), day: Number(match[1]) })
+    : toDate({ year: Number(match[3]), month: Number(match[1]), day: Number(match[2]) });
+};
+
+// Resolve which CSV column feeds which Birthday field
+const resolveColumns = (columns, mapping = {}) => {
+  const resolved = {};
+
+  for (const field of Object.keys(DEFAULT_COLUMNS)) {
+    if (mapping[field]) {
+      if (!columns.includes(mapping[field])) {
+        throw importError(`Mapped column "${mapping[field]}" for ${field} was not found in the CSV header`);
+      }
+      resolved[field] = mapping[field];
+      continue;
+    }
+
+    const match = columns.find(column => DEFAULT_COLUMNS[field].includes(column.toLowerCase()));
+    if (match) resolved[field] = match;
+  }
+
+  if (!resolved.name || !resolved.date) {
+    throw importError('CSV must have name and date columns (or provide a column mapping)');
+  }
+
+  return resolved;
+};
+
+// CSV rows -> raw birthday fields plus parse errors
+const readCsv = (content, { mapping, dateFormat }) => {
+  const { columns, records } = parseCsvWithHeader(content);
+  const resolved = resolveColumns(columns, mapping);
+
+  return records.map(record => {
+    const fields = {};
+    const errors = [];
+
+    for (const [field, column] of Object.entries(resolved)) {
+      const value = (record[column] || '').trim();
+      if (value !== '') fields[field] = value;
+    }
+
+    if (fields.date) {
+      const date = parseCsvDate(fields.date, dateFormat);
+      if (!date) errors.push(`Invalid date "${fields.date}" (expected ${dateFormat})`);
+      fields.date = date || undefined;
+    }
+
+    if (fields.reminderOffsets) {
+      fields.reminderOffsets = fields.reminderOffsets.split(/[;,\s]+/).filter(Boolean).map(Number);
+    }
+
+    if (fields.allowNotifications !== undefined) {
+      fields.allowNotifications = !['false', '0', 'no', 'off'].includes(fields.allowNotifications.toLowerCase());
+    }
+
+    return { fields, errors };
+  });
+};
+
+// vCards -> raw birthday fields plus parse errors
+const readVCards = (content) => {
+  return parseVCards(content).map(card => {
+    const errors = [];
+    const structuredName = getValue(card, 'N').split(';');
+    const fields = {
+      name: getValue(card, 'FN') || [structuredName[1], structuredName[0]].filter(Boolean).join(' '),
+      notes: getValue(card, 'NOTE') || undefined,
+      relationship: getValue(card, 'X-RELATIONSHIP') || undefined
+    };
+
+    const rawBirthday = getValue(card, 'BDAY');
+    const notifyBefore = getValue(card, 'X-NOTIFY-BEFORE');
+    const reminderOffsets = getValue(card, 'X-REMINDER-OFFSETS');
+    const allowNotifications = getValue(card, 'X-ALLOW-NOTIFICATIONS');
+
+    // Extensions written by our own vCard export
+    if (notifyBefore) fields.notifyBefore = notifyBefore;
+    if (reminderOffsets) fields.reminderOffsets = reminderOffsets.split(/[;,\s]+/).filter(Boolean).map(Number);
+    if (allowNotifications) fields.allowNotifications = allowNotifications.toLowerCase() !== 'false';
+
+    if (!rawBirthday) {
+      errors.push('Contact has no BDAY');
+    } else {
+      const parts = parseBirthdayValue(rawBirthday);
+      if (!parts) {
+        errors.push(`Unsupported BDAY value "${rawBirthday}"`);
+      } else if (!parts.year) {
+        errors.push('BDAY has no year; a full birth date is required');
+      } else {
+        fields.date = toDate(parts) || undefined;
+        if (!fields.date) errors.push(`Invalid BDAY "${rawBirthday}"`);
+      }
+    }
+
+    return { fields, errors };
+  });
+};
+
+// JSON export ({ birthdays: [...] }) or a bare array -> raw birthday fields
+const readJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw importError('File is not valid JSON');
+  }
+
+  const records = Array.isArray(data) ? data : data && data.birthdays;
+  if (!Array.isArray(records)) {
+    throw importError('JSON must be an array of birthdays or an object with a birthdays array');
+  }
+
+  return records.map(record => {
+    const errors = [];
+    const fields = {};
+
+    for (const field of ['name', 'relationship', 'notes', 'notifyBefore', 'reminderOffsets', 'allowNotifications']) {
+      if (record && record[field] !== undefined && record[field] !== null) fields[field] = record[field];
+    }
+
+    if (record && record.date) {
+      fields.date = parseCsvDate(String(record.date), 'YYYY-MM-DD') || undefined;
+      if (!fields.date) errors.push(`Invalid date "${record.date}" (expected YYYY-MM-DD)`);
+    }
+
+    return { fields, errors };
+  });
+};
+
+const duplicateKey = (name, date) => {
+  return `${String(name).trim().toLowerCase()}|${formatDateParts({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  })}`;
+};
+
+// Validate, de-duplicate and (unless dryRun) insert birthdays for a user.
+// Throws for problems with the file as a whole; row problems are reported per row.
+const importBirthdays = async (userId, { content, format, mapping, dateFormat = 'YYYY-MM-DD', dryRun = false }) => {
+  if (!['csv', 'vcf', 'json'].includes(format)) {
+    throw importError('Unsupported import format, use csv, vcf or json');
+  }
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    throw importError(`Unsupported date format, use one of ${DATE_FORMATS.join(', ')}`);
+  }
+
+  const readers = {
+    csv: () => readCsv(content, { mapping, dateFormat }),
+    vcf: () => readVCards(content),
+    json: () => readJson(content)
+  };
+  const entries = readers[format]();
+
+  if (entries.length > MAX_ROWS) {
+    throw importError(`Import is limited to ${MAX_ROWS} rows per file`);
+  }
+
+  // Imports go to the user's own list
+  const existing = await Birthday.find({ user: userId, group: null }).select('name date');
+  const seen = new Set(existing.map(birthday => duplicateKey(birthday.name, birthday.date)));
+
+  const rows = [];
+  const toInsert = [];
+
+  for (const [index, { fields, errors }] of entries.entries()) {
+    const row = {
+      row: index + 1,
+      name: fields.name || null,
+      date: fields.date ? fields.date.toISOString().slice(0, 10) : null
+    };
+
+    // Same rules as the Birthday model
+    const birthday = new Birthday({ ...fields, user: userId });
+    try {
+      await birthday.validate();
+    } catch (validationError) {
+      errors.push(...Object.values(validationError.errors || {}).map(error => error.message));
+    }
+
+    if (errors.length) {
+      rows.push({ ...row, status: 'error', errors: [...new Set(errors)] });
+      continue;
+    }
+
+    const key = duplicateKey(birthday.name, birthday.date);
+    if (seen.has(key)) {
+      rows.push({ ...row, status: 'duplicate' });
+      continue;
+    }
+
+    seen.add(key);
+    toInsert.push(birthday);
+    rows.push({ ...row, status: dryRun ? 'valid' : 'created' });
+  }
+
+  if (!dryRun && toInsert.length) {
+    const inserted = await Birthday.insertMany(toInsert);
+
+    // Same birthday.created webhooks as adding one by one, queued in the
+    // background one after the other so a large file does not hold up the response
+    (async () => {
+      for (const birthday of inserted) {
+        await emitWebhookEvent(userId, 'birthday.created', { birthday: serializeBirthday(birthday) });
+      }
+    })();
+  }
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+
+  return {
+    dryRun,
+    format,
+    summary: {
+      total: rows.length,
+      [dryRun ? 'valid' : 'created']: toInsert.length,
+      duplicates: count('duplicate'),
+      errors: count('error')
+    },
+    rows
+  };
+};
+
+module.exports = {
+  importBirthdays
+};
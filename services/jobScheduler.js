@@ -0,0 +1,219 @@
+// services/jobScheduler.js
+// Mongo-backed job queue. Jobs are claimed with an atomic update and a lease,
+// so any number of server instances can poll the same collection safely.
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 60 * 1000;
+
+const handlers = new Map();
+let pollTimer = null;
+let ticking = false;
+
+// Register a job handler.
+// options.schedule(now) may return { key, runAt } for the most recent slot that
+// should exist; missing slots are created on the next poll, which is how runs
+// missed during downtime are caught up.
+const registerJob = (name, handler, options = {}) => {
+  handlers.set(name, {
+    handler,
+    schedule: options.schedule || null,
+    leaseMs: options.leaseMs || 10 * 60 * 1000,
+    maxAttempts: options.maxAttempts || 5,
+    backoffMs: options.backoffMs || 60 * 1000
+  });
+};
+
+// Queue a one-off run of a registered job
+const enqueueJob = async (name, data = {}, options = {}) => {
+  const definition = handlers.get(name);
+
+  return Job.create({
+    name,
+    key: options.key || `${name}:manual:${Date.now()}:${crypto.randomBytes(3).toString('hex')}`,
+    data,
+    runAt: options.runAt || new Date(),
+    maxAttempts: options.maxAttempts || (definition ? definition.maxAttempts : 5),
+    triggeredBy: options.triggeredBy || 'manual'
+  });
+};
+
+// Make sure the current slot of every recurring job exists
+const ensureScheduledSlots = async (now) => {
+  for (const [name, definition] of handlers) {
+    if (!definition.schedule) continue;
+
+    const slot = definition.schedule(now);
+    if (!slot) continue;
+
+    try {
+      await Job.updateOne(
+        { key: slot.key },
+        {
+          $setOnInsert: {
+            name,
+            runAt: slot.runAt,
+            data: slot.data || {},
+            maxAttempts: definition.maxAttempts,
+            triggeredBy: 'scheduler'
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance inserted the same slot first
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+// Atomically claim the next due job (or one whose lease has expired). The lease
+// is taken in the same update: a reclaimed job still carries its expired
+// lockedUntil, so another worker could otherwise claim it again.
+const claimNextJob = async () => {
+  if (!handlers.size) return null;
+  const now = new Date();
+
+  // Pipeline update so the lease length can depend on the claimed job's name
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    [{
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        startedAt: now,
+        lockedUntil: {
+          $switch: {
+            branches: [...handlers].map(([name, definition]) => ({
+              case: { $eq: ['$name', name] },
+              then: new Date(now.getTime() + definition.leaseMs)
+            })),
+            default: now
+          }
+        },
+        attempts: { $add: [{ $ifNull: ['$attempts', 0] }, 1] }
+      }
+    }],
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const definition = handlers.get(job.name);
+
+  // A worker died holding this job on its final attempt
+  if (job.attempts > job.maxAttempts) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: { status: 'failed', finishedAt: new Date(), lastError: job.lastError || 'Lease expired on final attempt' },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+    return;
+  }
+
+  const lease = () => Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { $set: { lockedUntil: new Date(Date.now() + definition.leaseMs) } }
+  );
+
+  // Keep extending the lease while the handler is still working
+  await lease();
+  const heartbeat = setInterval(() => {
+    lease().catch(error => console.error(`Error renewing lease for job ${job.key}:`, error));
+  }, Math.max(definition.leaseMs / 3, 1000));
+
+  console.log(`▶️  Job ${job.key} started (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    const result = await definition.handler(job);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: { status: 'completed', finishedAt: new Date(), result: result || null },
+        $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1 }
+      }
+    );
+    console.log(`✅ Job ${job.key} completed`);
+  } catch (error) {
+    console.error(`❌ Job ${job.key} failed:`, error);
+
+    const update = { lastError: error.message };
+    if (job.attempts < job.maxAttempts) {
+      // Exponential backoff: backoff, 2x, 4x, ...
+      update.status = 'pending';
+      update.runAt = new Date(Date.now() + definition.backoffMs * 2 ** (job.attempts - 1));
+    } else {
+      update.status = 'failed';
+      update.finishedAt = new Date();
+    }
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: update, $unset: { lockedBy: 1, lockedUntil: 1 } }
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// One polling pass: create due slots, then drain everything that is due
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    await ensureScheduledSlots(new Date());
+
+    let job;
+    while (pollTimer && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job scheduler error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+const startScheduler = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  console.log(`Job scheduler started as ${WORKER_ID}, polling every ${Math.round(POLL_INTERVAL_MS / 1000)}s`);
+  tick();
+};
+
+const stopScheduler = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// Most recent runs, newest first
+const getJobHistory = async ({ name, status, limit = 50 } = {}) => {
+  const filter = {};
+  if (name) filter.name = name;
+  if (status) filter.status = status;
+
+  return Job.find(filter).sort({ createdAt: -1 }).limit(limit);
+};
+
+module.exports = {
+  registerJob,
+  enqueueJob,
+  startScheduler,
+  stopScheduler,
+  getJobHistory
+};
@@ -0,0 +1,114 @@
+// services/notificationEvents.js
+// Realtime notification events. Every event is stored so clients can replay
+// what they missed, emitted locally to open streams, and picked up by other
+// server instances through a lightweight poll of the event collection.
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const NotificationEvent = require('../models/NotificationEvent');
+
+const ORIGIN = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_EVENTS_POLL_MS, 10) || 2000;
+const REPLAY_LIMIT = 100;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let pollTimer = null;
+let lastPollAt = new Date();
+const recentlySeen = new Set();
+
+const channel = (userId) => `user:${userId}`;
+
+const toMessage = (doc) => ({
+  id: String(doc._id),
+  event: doc.event,
+  data: doc.data
+});
+
+// Store an event and deliver it to local subscribers.
+// Failures are logged, never thrown: realtime delivery is best effort.
+const publishEvent = async (userId, event, data = {}) => {
+  try {
+    const doc = await NotificationEvent.create({ userId, event, data, origin: ORIGIN });
+    emitter.emit(channel(userId), toMessage(doc));
+    return doc;
+  } catch (error) {
+    console.error(`Error publishing ${event} event:`, error);
+    return null;
+  }
+};
+
+// Events stored after lastEventId, oldest first
+const getEventsSince = async (userId, lastEventId) => {
+  if (!lastEventId || !mongoose.Types.ObjectId.isValid(lastEventId)) {
+    return [];
+  }
+
+  const events = await NotificationEvent.find({
+    userId,
+    _id: { $gt: new mongoose.Types.ObjectId(lastEventId) }
+  })
+    .sort({ _id: 1 })
+    .limit(REPLAY_LIMIT);
+
+  return events.map(toMessage);
+};
+
+// Pull events published by other instances and emit them locally
+const pollRemoteEvents = async () => {
+  const since = new Date(lastPollAt.getTime() - POLL_INTERVAL_MS);
+  lastPollAt = new Date();
+
+  const events = await NotificationEvent.find({
+    origin: { $ne: ORIGIN },
+    createdAt: { $gte: since }
+  }).sort({ _id: 1 });
+
+  for (const doc of events) {
+    const id = String(doc._id);
+    if (recentlySeen.has(id)) continue;
+
+    recentlySeen.add(id);
+    emitter.emit(channel(doc.userId), toMessage(doc));
+  }
+
+  // The overlap window only needs the most recent ids
+  if (recentlySeen.size > 5000) {
+    [...recentlySeen].slice(0, recentlySeen.size - 1000).forEach(id => recentlySeen.delete(id));
+  }
+};
+
+const startPolling = () => {
+  if (pollTimer) return;
+
+  lastPollAt = new Date();
+  pollTimer = setInterval(() => {
+    pollRemoteEvents().catch(error => console.error('Error polling notification events:', error));
+  }, POLL_INTERVAL_MS);
+};
+
+const stopPollingIfIdle = () => {
+  if (pollTimer && emitter.eventNames().length === 0) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// Subscribe to a user's events; returns an unsubscribe function
+const subscribe = (userId, listener) => {
+  emitter.on(channel(userId), listener);
+  startPolling();
+
+  return () => {
+    emitter.off(channel(userId), listener);
+    stopPollingIfIdle();
+  };
+};
+
+module.exports = {
+  publishEvent,
+  getEventsSince,
+  subscribe
+};
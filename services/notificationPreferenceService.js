@@ -0,0 +1,90 @@
+// services/notificationPreferenceService.js
+const NotificationPreference = require('../models/NotificationPreference');
+const Notification = require('../models/Notification');
+const { listChannels } = require('./channels');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+const preferenceError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Effective preferences (defaults filled in) plus the channels users can pick from
+const getPreferences = async (userId) => {
+  const preferences = await NotificationPreference.findOne({ user: userId })
+    || new NotificationPreference({ user: userId });
+
+  const channels = {};
+  for (const type of NOTIFICATION_TYPES) {
+    channels[type] = preferences.getChannelsFor(type);
+  }
+
+  return {
+    channels,
+    quietHours: {
+      enabled: preferences.quietHours.enabled,
+      start: preferences.quietHours.start,
+      end: preferences.quietHours.end
+    },
+    availableChannels: listChannels().map(channel => ({
+      name: channel.name,
+      label: channel.label,
+      required: !!channel.required,
+      configured: channel.isConfigured()
+    }))
+  };
+};
+
+// Update channels per type and/or quiet hours. Only the parts sent are changed.
+// body: { channels: { birthday: ['inApp', 'email'], ... }, quietHours: { enabled, start, end } }
+const updatePreferences = async (userId, body = {}) => {
+  const preferences = await NotificationPreference.findOne({ user: userId })
+    || new NotificationPreference({ user: userId });
+
+  if (body.channels !== undefined) {
+    if (!body.channels || typeof body.channels !== 'object' || Array.isArray(body.channels)) {
+      throw preferenceError('channels must be an object of notification type to channel names');
+    }
+
+    const available = listChannels();
+    const names = available.map(channel => channel.name);
+    const required = available.filter(channel => channel.required).map(channel => channel.name);
+
+    for (const [type, selected] of Object.entries(body.channels)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        throw preferenceError(`Notification type must be one of ${NOTIFICATION_TYPES.join(', ')}`);
+      }
+      if (!Array.isArray(selected) || selected.some(name => !names.includes(name))) {
+        throw preferenceError(`Channels for ${type} must be a list of: ${names.join(', ')}`);
+      }
+
+      preferences.channels.set(type, [...new Set([...required, ...selected])]);
+    }
+  }
+
+  if (body.quietHours !== undefined) {
+    const { enabled, start, end } = body.quietHours || {};
+
+    if (enabled !== undefined) preferences.quietHours.enabled = enabled === true || enabled === 'true';
+    if (start !== undefined) preferences.quietHours.start = start;
+    if (end !== undefined) preferences.quietHours.end = end;
+  }
+
+  try {
+    await preferences.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw preferenceError(Object.values(error.errors).map(err => err.message).join(', '));
+    }
+    throw error;
+  }
+
+  return getPreferences(userId);
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences
+};
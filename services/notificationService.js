@@ -1,8 +1,10 @@
 // services/notificationService.js
 const Notification = require('../models/Notification');
+const { dispatchNotification } = require('./deliveryService');
 
-// Create a new notification
-const createNotification = async (userId, message, type = 'system', metadata = {}, birthdayId = null) => {
+// Create a new notification and deliver it on the user's channels.
+// context.birthday saves a lookup when the caller already has the birthday.
+const createNotification = async (userId, message, type = 'system', metadata = {}, birthdayId = null, context = {}) => {
   try {
     const notification = new Notification({
       userId,
@@ -13,6 +15,10 @@ const createNotification = async (userId, message, type = 'system', metadata = {
     });
 
     await notification.save();
+
+    // Channels are best effort: a failed send must not lose the stored notification
+    await dispatchNotification(notification, context);
+
     return notification;
   } catch (error) {
     console.error('Error creating notification:', error);
@@ -37,7 +43,8 @@ const createBirthdayReminder = async (userId, birthday, daysUntil) => {
     message,
     'birthday',
     { daysUntil: daysUntil.toString() },
-    birthday._id
+    birthday._id,
+    { birthday }
   );
 };
 
@@ -46,8 +53,68 @@ const getUnreadCount = async (userId) => {
   return Notification.countDocuments({ userId, isRead: false });
 };
 
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+const listError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Notifications for a user, paginated when page or limit is given.
+// query: unread=true|false, type=a,b, from/to (ISO dates on createdAt), page, limit
+const listNotifications = async (userId, query = {}) => {
+  const filter = { userId };
+
+  if (query.unread === 'true') filter.isRead = false;
+  if (query.unread === 'false') filter.isRead = true;
+
+  if (query.type) {
+    const types = String(query.type).split(',').map(type => type.trim());
+    const invalid = types.filter(type => !NOTIFICATION_TYPES.includes(type));
+    if (invalid.length) {
+      throw listError(`type must be one of ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+    filter.type = { $in: types };
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[param]) continue;
+
+    const date = new Date(query[param]);
+    if (isNaN(date)) {
+      throw listError(`${param} must be a valid date`);
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  // Without page/limit every match is returned, as before (like the birthdays list)
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = paginate ? Math.max(parseInt(query.page, 10) || 1, 1) : 1;
+  const limit = paginate ? Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100) : undefined;
+
+  let find = Notification.find(filter).sort({ createdAt: -1 });
+  if (limit) {
+    find = find.skip((page - 1) * limit).limit(limit);
+  }
+
+  const [notifications, total] = await Promise.all([
+    find.populate('birthdayId', 'name date'),
+    Notification.countDocuments(filter)
+  ]);
+
+  return {
+    notifications,
+    total,
+    page,
+    limit: limit || total,
+    totalPages: limit ? Math.max(Math.ceil(total / limit), 1) : 1
+  };
+};
+
 module.exports = {
   createNotification,
   createBirthdayReminder,
-  getUnreadCount
+  getUnreadCount,
+  listNotifications
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+// services/pushService.js
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const { fetchPublicUrl } = require('../utils/urlGuard');
+
+// Give up on a subscription after this many consecutive non-fatal failures
+const MAX_FAILURES = 10;
+
+let vapidKeys = null;
+
+// Local testing aids (throwaway VAPID keys, the /api/push/dev-sink stand-in)
+// are only switched on explicitly, never just because NODE_ENV is unset
+const isDevSinkEnabled = () => process.env.PUSH_DEV_SINK === 'true';
+
+// Configure VAPID from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT.
+// With PUSH_DEV_SINK=true and no keys, a throwaway key pair is generated
+// (subscriptions then only survive until the next restart).
+const getVapidKeys = () => {
+  if (vapidKeys !== null) return vapidKeys;
+
+  let publicKey = process.env.VAPID_PUBLIC_KEY;
+  let privateKey = process.env.VAPID_PRIVATE_KEY;
+
+  if (!publicKey !== !privateKey) {
+    throw new Error('Set both VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (npx web-push generate-vapid-keys), or neither');
+  }
+
+  if (!publicKey && isDevSinkEnabled()) {
+    ({ publicKey, privateKey } = webpush.generateVAPIDKeys());
+    console.log('ℹ️  VAPID keys not set, generated temporary keys for PUSH_DEV_SINK');
+  }
+
+  if (!publicKey) {
+    console.error('⚠️  Push notifications are disabled: VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not set');
+  }
+
+  if (publicKey && privateKey) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:no-reply@birthday-reminder.local',
+      publicKey,
+      privateKey
+    );
+    vapidKeys = { publicKey, privateKey };
+  } else {
+    vapidKeys = false;
+  }
+
+  return vapidKeys;
+};
+
+const isPushConfigured = () => !!getVapidKeys();
+
+const getVapidPublicKey = () => {
+  const keys = getVapidKeys();
+  return keys ? keys.publicKey : null;
+};
+
+// Encrypt and sign with web-push, then deliver with fetch so plain-http
+// endpoints (the local stand-in under /api/push/dev-sink) work too.
+// The endpoint is checked again here: its host may now resolve somewhere private.
+const deliver = async (subscription, payload) => {
+  const request = webpush.generateRequestDetails(
+    {
+      endpoint: subscription.endpoint,
+      keys: {
+        p256dh: subscription.keys.p256dh,
+        auth: subscription.keys.auth
+      }
+    },
+    JSON.stringify(payload),
+    { TTL: 24 * 60 * 60 }
+  );
+
+  const response = await fetchPublicUrl(request.endpoint, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    signal: AbortSignal.timeout(10000)
+  }, 'Push endpoint');
+
+  if (!response.ok) {
+    const error = new Error(`Push service responded with ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+};
+
+// Send one payload to one stored subscription, pruning it when the push
+// service reports it gone (404/410)
+const sendToSubscription = async (subscription, payload) => {
+  try {
+    await deliver(subscription, payload);
+
+    subscription.lastSuccessAt = new Date();
+    subscription.failureCount = 0;
+    await subscription.save();
+    return 'sent';
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      console.log(`Removed expired push subscription ${subscription._id}`);
+      return 'pruned';
+    }
+
+    console.error(`Push to subscription ${subscription._id} failed:`, error.statusCode || error.message);
+
+    subscription.failureCount += 1;
+    if (subscription.failureCount >= MAX_FAILURES) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      return 'pruned';
+    }
+    await subscription.save();
+    return 'failed';
+  }
+};
+
+// Send a payload ({ title, body, url, tag, data }) to every device of a user
+const sendPushToUser = async (userId, payload) => {
+  const result = { sent: 0, failed: 0, pruned: 0 };
+
+  if (!isPushConfigured()) {
+    return result;
+  }
+
+  const subscriptions = await PushSubscription.find({ user: userId });
+
+  for (const subscription of subscriptions) {
+    result[await sendToSubscription(subscription, payload)] += 1;
+  }
+
+  return result;
+};
+
+// Check the configuration at startup so a broken setup shows up in the boot log
+getVapidKeys();
+
+module.exports = {
+  isDevSinkEnabled,
+  isPushConfigured,
+  getVapidPublicKey,
+  sendPushToUser
+};
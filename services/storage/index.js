@@ -0,0 +1,56 @@
+// services/storage/index.js
+// Storage backend for uploaded images, chosen with STORAGE_DRIVER:
+//   local (default)  uploads/ next to the app
+//   s3               S3_BUCKET, S3_REGION, S3_ENDPOINT (MinIO etc.), S3_FORCE_PATH_STYLE,
+//                    S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (else the default AWS
+//                    credential chain), S3_PREFIX (required, e.g. "uploads/"),
+//                    S3_PUBLIC_URL (makes photos public),
+//                    S3_URL_EXPIRES_SECONDS
+// Image links expire after IMAGE_URL_TTL_SECONDS (default one hour).
+//
+// Every driver implements:
+//   put(key, data, contentType)   get(key) -> Buffer|null   delete(key)
+//   stat(key) -> { size, lastModified }|null   list() -> async iterable of { key, size, lastModified }
+//   getPublicUrl(key) -> string|null (no signing needed)   getUrl(key) -> Promise<string>
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+const { URL_TTL_SECONDS } = require('./signedUrls');
+
+let storage = null;
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+          ? process.env.S3_FORCE_PATH_STYLE === 'true'
+          : !!process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX || '',
+        publicUrl: process.env.S3_PUBLIC_URL || undefined,
+        urlExpiresSeconds: parseInt(process.env.S3_URL_EXPIRES_SECONDS, 10) || URL_TTL_SECONDS
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local or s3)`);
+  }
+};
+
+// The configured backend, created on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`🗄️  Image storage: ${storage.name}`);
+  }
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  getStorage
+};
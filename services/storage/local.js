@@ -0,0 +1,73 @@
+// services/storage/local.js
+// Files in the app's uploads/ directory. They are not served statically: clients
+// get short-lived signed links to /api/images (see routes/images.js).
+const fs = require('fs');
+const path = require('path');
+const { signImagePath } = require('./signedUrls');
+
+const createLocalStorage = ({ root = path.join(__dirname, '..', '..', 'uploads') } = {}) => {
+  // Keys are plain file names; never let one escape the uploads directory
+  const resolve = (key) => path.join(root, path.basename(key));
+
+  return {
+    name: 'local',
+    root,
+
+    put: async (key, data) => {
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(resolve(key), data);
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    stat: async (key) => {
+      try {
+        const stat = await fs.promises.stat(resolve(key));
+        return { size: stat.size, lastModified: stat.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    list: async function* () {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(root, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+        const stat = await fs.promises.stat(path.join(root, entry.name)).catch(() => null);
+        if (stat) yield { key: entry.name, size: stat.size, lastModified: stat.mtime };
+      }
+    },
+
+    // Every URL needs a signature
+    getPublicUrl: () => null,
+
+    // Relative to /api, like the old /uploads/ paths the frontend prefixes with the API URL
+    getUrl: async (key) => signImagePath(key)
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,127 @@
+// services/storage/s3.js
+// Amazon S3 or any S3-compatible service (MinIO, R2, Spaces, ...).
+// Objects stay private and are handed out as short-lived pre-signed URLs.
+// Setting a public base URL (a CDN or public bucket) skips signing, which
+// makes every photo readable by anyone who has its URL.
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = !!endpoint,
+  accessKeyId,
+  secretAccessKey,
+  prefix,
+  publicUrl,
+  urlExpiresSeconds = 3600
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+  }
+  // Upload cleanup lists and deletes under the prefix, so it must not be the whole bucket
+  if (!prefix) {
+    throw new Error('S3 storage needs a key prefix for uploads (S3_PREFIX, e.g. "uploads/")');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted services only support path-style addressing
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+
+    put: async (key, data, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: data,
+        ContentType: contentType,
+        // Variants get a new key on every upload, so they never change
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+
+    get: async (key) => {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    // S3 deletes are idempotent: missing keys succeed
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    stat: async (key) => {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength, lastModified: head.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    list: async function* () {
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken
+        }));
+
+        for (const object of page.Contents || []) {
+          yield {
+            key: object.Key.slice(prefix.length),
+            size: object.Size,
+            lastModified: object.LastModified
+          };
+        }
+
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    getPublicUrl: (key) => (publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${objectKey(key)}` : null),
+
+    getUrl: async (key) => {
+      if (publicUrl) {
+        return `${publicUrl.replace(/\/+$/, '')}/${objectKey(key)}`;
+      }
+
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }),
+        { expiresIn: urlExpiresSeconds }
+      );
+    }
+  };
+};
+
+module.exports = createS3Storage;
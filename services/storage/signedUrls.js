@@ -0,0 +1,45 @@
+// services/storage/signedUrls.js
+// Short-lived links to images served by /api/images. The signature covers the
+// key and expiry, so a link cannot be reused for another file or extended.
+const crypto = require('crypto');
+
+const URL_TTL_SECONDS = parseInt(process.env.IMAGE_URL_TTL_SECONDS, 10) || 3600;
+
+const getSecret = () => {
+  const secret = process.env.IMAGE_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('IMAGE_URL_SECRET or JWT_SECRET must be set to sign image URLs');
+  }
+  return secret;
+};
+
+const sign = (key, expires) => {
+  return crypto.createHmac('sha256', getSecret()).update(`${key}:${expires}`).digest('base64url');
+};
+
+// Path (relative to /api, like the old /uploads/ URLs) valid for one to two TTLs.
+// Expiry is rounded to TTL boundaries so the URL, and the browser's cached copy,
+// stays the same for a while instead of changing on every request.
+const signImagePath = (key, now = Date.now()) => {
+  const expires = (Math.floor(now / 1000 / URL_TTL_SECONDS) + 2) * URL_TTL_SECONDS;
+  return `/images/${encodeURIComponent(key)}?expires=${expires}&sig=${sign(key, expires)}`;
+};
+
+// Seconds the link stays valid, or 0 when it is invalid or expired
+const verifyImageSignature = (key, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  const remaining = expiresAt - Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(expiresAt) || remaining <= 0 || typeof signature !== 'string') return 0;
+
+  const expected = Buffer.from(sign(key, expiresAt));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 0;
+
+  return remaining;
+};
+
+module.exports = {
+  URL_TTL_SECONDS,
+  signImagePath,
+  verifyImageSignature
+};
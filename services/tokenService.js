@@ -0,0 +1,124 @@
+// services/tokenService.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFRESH_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 1;
+const REMEMBER_ME_REFRESH_DAYS = parseInt(process.env.REFRESH_TOKEN_REMEMBER_DAYS, 10) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Short-lived access token sent as "Authorization: Bearer ..."
+const generateAccessToken = (id) => {
+  return jwt.sign({ id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+  });
+};
+
+// Create and store a new refresh token; resolves with the raw token
+const issueRefreshToken = async (userId, { rememberMe = false, family, req } = {}) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  const days = rememberMe ? REMEMBER_ME_REFRESH_DAYS : REFRESH_DAYS;
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family: family || crypto.randomBytes(16).toString('hex'),
+    rememberMe,
+    expiresAt: new Date(Date.now() + days * DAY_MS),
+    createdByIp: req ? req.ip : undefined,
+    userAgent: req ? req.headers['user-agent'] : undefined
+  });
+
+  return refreshToken;
+};
+
+// Access + refresh token pair for a fresh login
+const issueTokens = async (userId, options = {}) => {
+  return {
+    token: generateAccessToken(userId),
+    refreshToken: await issueRefreshToken(userId, options)
+  };
+};
+
+// User id a stored refresh token belongs to, or null for an unknown token.
+// Lets callers check the account before rotateRefreshToken issues a new token.
+const getRefreshTokenUser = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('user');
+  return stored ? stored.user : null;
+};
+
+// Exchange a refresh token for a new pair. The old token is revoked; presenting
+// an already-rotated token again is treated as theft and revokes its family.
+// Resolves with { userId, token, refreshToken } or null when the token is unusable.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!stored) return null;
+
+  if (stored.revokedAt) {
+    if (stored.replacedBy) {
+      console.warn(`Refresh token reuse detected for user ${stored.user}, revoking family ${stored.family}`);
+      await RefreshToken.updateMany(
+        { family: stored.family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+    return null;
+  }
+
+  if (stored.expiresAt <= new Date()) return null;
+
+  const newRefreshToken = await issueRefreshToken(stored.user, {
+    rememberMe: stored.rememberMe,
+    family: stored.family,
+    req
+  });
+
+  // Only one concurrent rotation of the same token may win
+  const result = await RefreshToken.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy: hashToken(newRefreshToken) } }
+  );
+
+  if (!result.modifiedCount) {
+    await RefreshToken.deleteOne({ tokenHash: hashToken(newRefreshToken) });
+    return null;
+  }
+
+  return {
+    userId: stored.user,
+    token: generateAccessToken(stored.user),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Revoke a single refresh token (logout on one device)
+const revokeRefreshToken = async (refreshToken, userId = null) => {
+  const filter = { tokenHash: hashToken(refreshToken), revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await RefreshToken.updateOne(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount > 0;
+};
+
+// Revoke every refresh token of a user (logout everywhere, password change)
+const revokeAllRefreshTokens = async (userId) => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  generateAccessToken,
+  issueTokens,
+  getRefreshTokenUser,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+};
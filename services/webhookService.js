@@ -0,0 +1,225 @@
+// services/webhookService.js
+// Outgoing webhooks. Each event becomes one WebhookDelivery per subscribed
+// webhook, sent by the job queue so failed attempts are retried with
+// exponential backoff (1, 2, 4, 8, 16 minutes by default).
+//
+// Requests carry:
+//   X-Webhook-Event       event name
+//   X-Webhook-Delivery    delivery id (stable across retries, use it to de-duplicate)
+//   X-Webhook-Timestamp   unix seconds when the attempt was made
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret>
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { registerJob, enqueueJob } = require('./jobScheduler');
+const { getOutgoingUrlError, fetchPublicUrl } = require('../utils/urlGuard');
+
+const WEBHOOK_DELIVERY_JOB = 'webhook-delivery';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const BACKOFF_MS = 60 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+// Disable a webhook after this many failed attempts in a row
+const DISABLE_AFTER = parseInt(process.env.WEBHOOK_DISABLE_AFTER, 10) || 20;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Why a URL cannot be used as a webhook target, or null when it can.
+// https and a public host are required unless ALLOW_PRIVATE_URLS=true.
+const getUrlError = (value) => getOutgoingUrlError(value, 'Webhook URL');
+
+// Birthday fields shared with integrations
+const serializeBirthday = (birthday) => ({
+  id: String(birthday._id),
+  name: birthday.name,
+  date: birthday.date ? new Date(birthday.date).toISOString().slice(0, 10) : null,
+  relationship: birthday.relationship || null,
+  notes: birthday.notes || null,
+  notifyBefore: birthday.notifyBefore,
+  reminderOffsets: birthday.getReminderOffsets ? birthday.getReminderOffsets() : undefined,
+  allowNotifications: birthday.allowNotifications !== false,
+  group: birthday.group ? String(birthday.group) : null,
+  createdAt: birthday.createdAt,
+  updatedAt: birthday.updatedAt
+});
+
+const buildPayload = (delivery, data) => JSON.stringify({
+  id: String(delivery._id),
+  event: delivery.event,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+// POST the stored payload once and record the response on the delivery
+const sendRequest = async (delivery, webhook) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  delivery.attempts += 1;
+
+  try {
+    // Checked again on every attempt: the host may resolve elsewhere by now
+    const response = await fetchPublicUrl(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BirthdayReminder-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    }, 'Webhook URL');
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text().catch(() => '')).slice(0, 1000);
+    delivery.lastError = response.ok ? undefined : `Endpoint responded with ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.lastError = error.name === 'TimeoutError'
+      ? `No response within ${TIMEOUT_MS / 1000}s`
+      : error.message;
+  }
+
+  delivery.durationMs = Date.now() - started;
+  return !delivery.lastError;
+};
+
+// Update webhook health after an attempt, disabling it after too many failures
+const recordOutcome = async (webhook, succeeded) => {
+  const now = new Date();
+
+  if (succeeded) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: now, lastSuccessAt: now } }
+    );
+    return;
+  }
+
+  const updated = await Webhook.findOneAndUpdate(
+    { _id: webhook._id },
+    { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now } },
+    { new: true }
+  );
+
+  if (updated && updated.active && updated.consecutiveFailures >= DISABLE_AFTER) {
+    updated.active = false;
+    updated.disabledAt = now;
+    updated.disabledReason = `Disabled after ${updated.consecutiveFailures} failed deliveries in a row`;
+    await updated.save();
+
+    console.log(`Webhook ${updated._id} disabled after ${updated.consecutiveFailures} consecutive failures`);
+
+    // Required lazily: notifications are themselves delivered through channels
+    // that include webhooks
+    const { createNotification } = require('./notificationService');
+    await createNotification(
+      updated.user,
+      `Your webhook to ${new URL(updated.url).host} was disabled after repeated delivery failures`,
+      'system',
+      { webhookId: String(updated._id) }
+    ).catch(error => console.error('Error notifying about disabled webhook:', error));
+  }
+};
+
+// Job handler: one attempt of one delivery. Throws to let the queue retry.
+const runDeliveryJob = async (job) => {
+  const delivery = await WebhookDelivery.findById(job.data.deliveryId);
+  if (!delivery || delivery.status !== 'pending') return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.lastError = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return { status: delivery.status };
+  }
+
+  const succeeded = await sendRequest(delivery, webhook);
+  const finalAttempt = job.attempts >= job.maxAttempts;
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (finalAttempt) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    // Mirrors the job queue's backoff so the history can show the next try
+    delivery.nextAttemptAt = new Date(Date.now() + BACKOFF_MS * 2 ** (job.attempts - 1));
+  }
+
+  await delivery.save();
+  await recordOutcome(webhook, succeeded);
+
+  if (!succeeded) {
+    throw new Error(`Webhook delivery ${delivery._id} failed: ${delivery.lastError}`);
+  }
+
+  return { status: delivery.status, responseStatus: delivery.responseStatus };
+};
+
+// Queue an event for every active webhook of the user subscribed to it.
+// Resolves to the number of deliveries queued; never throws.
+const emitWebhookEvent = async (userId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({ user: userId, active: true, events: event });
+
+    for (const webhook of webhooks) {
+      const delivery = new WebhookDelivery({ webhook: webhook._id, user: userId, event });
+      delivery.payload = buildPayload(delivery, data);
+      await delivery.save();
+
+      await enqueueJob(WEBHOOK_DELIVERY_JOB, { deliveryId: String(delivery._id) }, {
+        key: `${WEBHOOK_DELIVERY_JOB}:${delivery._id}`,
+        maxAttempts: MAX_ATTEMPTS,
+        triggeredBy: event
+      });
+    }
+
+    return webhooks.length;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error);
+    return 0;
+  }
+};
+
+// Send a ping right away (outside the queue) and return the recorded delivery
+const sendTestEvent = async (webhook) => {
+  const delivery = new WebhookDelivery({ webhook: webhook._id, user: webhook.user, event: 'webhook.test' });
+  delivery.payload = buildPayload(delivery, { message: 'Test delivery from Birthday Reminder' });
+
+  const succeeded = await sendRequest(delivery, webhook);
+  delivery.status = succeeded ? 'succeeded' : 'failed';
+  if (succeeded) delivery.deliveredAt = new Date();
+
+  await delivery.save();
+  return delivery;
+};
+
+const scheduleWebhookDeliveries = () => {
+  registerJob(WEBHOOK_DELIVERY_JOB, runDeliveryJob, {
+    leaseMs: 2 * 60 * 1000,
+    maxAttempts: MAX_ATTEMPTS,
+    backoffMs: BACKOFF_MS
+  });
+};
+
+module.exports = {
+  WEBHOOK_DELIVERY_JOB,
+  generateSecret,
+  getUrlError,
+  serializeBirthday,
+  emitWebhookEvent,
+  sendTestEvent,
+  scheduleWebhookDeliveries
+};
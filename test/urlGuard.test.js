@@ -0,0 +1,78 @@
+// test/urlGuard.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const net = require('net');
+const { getOutgoingUrlError, fetchPublicUrl } = require('../utils/urlGuard');
+
+// Answer lookups with each address in turn, repeating the last one
+const stubLookup = (t, answers) => {
+  const calls = [];
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const address = answers[Math.min(calls.length, answers.length - 1)];
+    calls.push(hostname);
+    callback(null, [{ address, family: net.isIP(address) }]);
+  });
+  return calls;
+};
+
+// A local server that records whether anything connected to it
+const listen = async (t) => {
+  const server = net.createServer(socket => {
+    server.connections++;
+    socket.once('data', () => socket.end('HTTP/1.1 204 No Content\r\nConnection: close\r\n\r\n'));
+  });
+  server.connections = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return server;
+};
+
+test('refuses private and non-https URLs', () => {
+  assert.strictEqual(getOutgoingUrlError('http://example.com/hook', 'Webhook URL'), 'Webhook URL must use https');
+  assert.strictEqual(getOutgoingUrlError('https://127.0.0.1/hook', 'Webhook URL'), 'Webhook URL must point at a public host');
+  assert.strictEqual(getOutgoingUrlError('https://[::ffff:169.254.169.254]/', 'Webhook URL'), 'Webhook URL must point at a public host');
+  assert.strictEqual(getOutgoingUrlError('https://metadata.internal/', 'Webhook URL'), 'Webhook URL must point at a public host');
+  assert.strictEqual(getOutgoingUrlError('https://example.com/hook', 'Webhook URL'), null);
+});
+
+test('refuses a host that resolves to a private address', async (t) => {
+  const server = await listen(t);
+  stubLookup(t, ['127.0.0.1']);
+
+  await assert.rejects(
+    fetchPublicUrl(`https://hooks.example.com:${server.address().port}/`, { method: 'POST' }, 'Webhook URL'),
+    { message: 'Webhook URL resolves to a private address' }
+  );
+  assert.strictEqual(server.connections, 0);
+});
+
+test('refuses a host whose DNS answer turns private after it was checked (rebinding)', async (t) => {
+  const server = await listen(t);
+  const calls = stubLookup(t, ['93.184.216.34', '127.0.0.1']);
+
+  // An earlier check (e.g. when the URL was saved) saw the public answer
+  const checked = await new Promise((resolve, reject) => {
+    dns.lookup('rebind.example.com', {}, (error, addresses) => error ? reject(error) : resolve(addresses));
+  });
+  assert.strictEqual(checked[0].address, '93.184.216.34');
+
+  // The connection resolves once more, gets the private answer and is refused
+  await assert.rejects(
+    fetchPublicUrl(`https://rebind.example.com:${server.address().port}/`, { method: 'POST' }, 'Webhook URL'),
+    { message: 'Webhook URL resolves to a private address' }
+  );
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(server.connections, 0);
+});
+
+test('connects to the address the lookup returned', async (t) => {
+  const server = await listen(t);
+  stubLookup(t, ['127.0.0.1']);
+  process.env.ALLOW_PRIVATE_URLS = 'true';
+  t.after(() => delete process.env.ALLOW_PRIVATE_URLS);
+
+  const response = await fetchPublicUrl(`http://anything.example.com:${server.address().port}/`, {}, 'Webhook URL');
+  assert.strictEqual(response.status, 204);
+  assert.strictEqual(server.connections, 1);
+});
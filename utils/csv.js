@@ -0,0 +1,87 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF/LF)
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark written by spreadsheet apps
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by header name
+const parseCsvWithHeader = (text, delimiter = ',') => {
+  const [header = [], ...rows] = parseCsv(text, delimiter);
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: rows.map(cells => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = cells[index] === undefined ? '' : cells[index];
+      });
+      return record;
+    })
+  };
+};
+
+// Quote a single value for CSV output when needed
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+const formatCsvRow = (values) => values.map(formatCsvValue).join(',') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  parseCsvWithHeader,
+  formatCsvValue,
+  formatCsvRow
+};
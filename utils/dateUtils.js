@@ -0,0 +1,127 @@
+// utils/dateUtils.js
+// Calendar helpers that work on plain { year, month, day } parts (month is 1-12)
+// so birthday maths never depends on the server's local timezone.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isLeapYear = (year) => {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+};
+
+// Month/day of a stored birth date. Dates are saved from "YYYY-MM-DD" input,
+// i.e. midnight UTC, so the UTC components are the ones the user entered.
+const getBirthdayParts = (date) => {
+  const value = new Date(date);
+  return {
+    year: value.getUTCFullYear(),
+    month: value.getUTCMonth() + 1,
+    day: value.getUTCDate()
+  };
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const zonedFormatters = new Map();
+
+// Calendar date and time of day of an instant in an IANA timezone
+const getZonedParts = (date = new Date(), timeZone = 'UTC') => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of zonedFormatters.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute
+  };
+};
+
+const toUTCTime = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+const addDays = (parts, days) => {
+  const value = new Date(toUTCTime(parts) + days * MS_PER_DAY);
+  return {
+    year: value.getUTCFullYear(),
+    month: value.getUTCMonth() + 1,
+    day: value.getUTCDate()
+  };
+};
+
+// Whole calendar days from one date to another
+const daysBetween = (from, to) => {
+  return Math.round((toUTCTime(to) - toUTCTime(from)) / MS_PER_DAY);
+};
+
+// Date a birthday is celebrated in a given year (Feb 29 falls back to Feb 28)
+const occurrenceInYear = (month, day, year) => {
+  if (month === 2 && day === 29 && !isLeapYear(year)) {
+    return { year, month: 2, day: 28 };
+  }
+  return { year, month, day };
+};
+
+// Next occurrence of a month/day on or after today
+const getNextOccurrence = (month, day, today) => {
+  let next = occurrenceInYear(month, day, today.year);
+  if (daysBetween(today, next) < 0) {
+    next = occurrenceInYear(month, day, today.year + 1);
+  }
+  return next;
+};
+
+const getDaysUntilBirthday = (month, day, today) => {
+  return daysBetween(today, getNextOccurrence(month, day, today));
+};
+
+// Month/day pairs that are celebrated on a given calendar date
+// (Feb 28 in a non-leap year also covers Feb 29 birthdays)
+const getMonthDaysCelebratedOn = (parts) => {
+  const pairs = [{ month: parts.month, day: parts.day }];
+  if (parts.month === 2 && parts.day === 28 && !isLeapYear(parts.year)) {
+    pairs.push({ month: 2, day: 29 });
+  }
+  return pairs;
+};
+
+// Format parts as YYYY-MM-DD
+const formatDateParts = ({ year, month, day }) => {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+module.exports = {
+  MS_PER_DAY,
+  isLeapYear,
+  getBirthdayParts,
+  isValidTimeZone,
+  getZonedParts,
+  addDays,
+  daysBetween,
+  occurrenceInYear,
+  getNextOccurrence,
+  getDaysUntilBirthday,
+  getMonthDaysCelebratedOn,
+  formatDateParts
+};
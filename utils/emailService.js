@@ -0,0 +1,99 @@
+// utils/emailService.js
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+// Supported EMAIL_TRANSPORT values:
+//   smtp   - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   json   - messages are serialized to JSON and logged (local testing)
+//   stream - messages are built as raw RFC 822 and logged (local testing)
+//   file   - like stream, but every message is written to EMAIL_OUTBOX_DIR as .eml
+const TRANSPORTS = ['smtp', 'json', 'stream', 'file'];
+
+let transporter = null;
+
+const getTransportName = () => {
+  const name = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+  return TRANSPORTS.includes(name) ? name : 'smtp';
+};
+
+// Email is considered configured when a local transport is selected
+// or when an SMTP host has been provided
+const isEmailConfigured = () => {
+  return getTransportName() !== 'smtp' || !!process.env.SMTP_HOST;
+};
+
+const getOutboxDir = () => {
+  return process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+};
+
+// Build (once) the nodemailer transport described by the environment
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  const name = getTransportName();
+
+  if (name === 'json') {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else if (name === 'stream' || name === 'file') {
+    transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix'
+    });
+  } else {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+// Send a single email. Resolves with { messageId, transport } or throws.
+const sendEmail = async ({ to, subject, html, text }) => {
+  if (!isEmailConfigured()) {
+    throw new Error('Email transport is not configured (set SMTP_HOST or EMAIL_TRANSPORT)');
+  }
+
+  const name = getTransportName();
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'Birthday Reminder <no-reply@birthday-reminder.local>',
+    to,
+    subject,
+    html,
+    text
+  });
+
+  if (name === 'file') {
+    const outboxDir = getOutboxDir();
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+    console.log(`📧 Email to ${to} written to ${path.join(outboxDir, fileName)}`);
+  } else if (name === 'json' || name === 'stream') {
+    console.log(`📧 Email to ${to} (${name} transport):\n${info.message.toString()}`);
+  }
+
+  return {
+    messageId: info.messageId,
+    transport: name
+  };
+};
+
+module.exports = {
+  sendEmail,
+  isEmailConfigured,
+  getTransportName
+};
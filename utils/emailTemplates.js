@@ -0,0 +1,292 @@
+// utils/emailTemplates.js
+
+// Escape user-provided values before placing them in HTML
+const escapeHtml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const getAppUrl = () => {
+  return process.env.FRONTEND_URL || 'https://birthday-reminder38.netlify.app';
+};
+
+// Public base URL of this API, for links that point at the API itself.
+// Configured rather than taken from the request's Host header, which the client controls.
+const getApiUrl = () => {
+  return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+};
+
+const REMINDER_FOOTER = 'You are receiving this email because reminders are enabled in';
+
+// Shared HTML layout for every email we send
+const layout = (title, bodyHtml, footer = REMINDER_FOOTER) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f6f4fb;font-family:Arial,Helvetica,sans-serif;color:#333;">
+    <div style="max-width:520px;margin:0 auto;background:#fff;border-radius:8px;padding:24px;">
+      ${bodyHtml}
+      <p style="margin-top:32px;font-size:12px;color:#999;">
+        ${escapeHtml(footer)}
+        <a href="${escapeHtml(getAppUrl())}" style="color:#999;">Birthday Reminder</a>.
+      </p>
+    </div>
+  </body>
+</html>`;
+
+// Subject, headline and body copy for the 0/1/3/7 (or any other) day reminders
+const reminderCopy = (name, daysUntil) => {
+  if (daysUntil === 0) {
+    return {
+      subject: `🎉 Today is ${name}'s birthday!`,
+      headline: `Today is ${name}'s birthday!`,
+      body: 'Don\'t forget to send your wishes today.'
+    };
+  }
+
+  if (daysUntil === 1) {
+    return {
+      subject: `⏰ Tomorrow is ${name}'s birthday`,
+      headline: `Tomorrow is ${name}'s birthday`,
+      body: 'There is still time to plan a message or a small surprise.'
+    };
+  }
+
+  return {
+    subject: `📅 ${name}'s birthday is in ${daysUntil} days`,
+    headline: `${name}'s birthday is in ${daysUntil} days`,
+    body: daysUntil <= 3
+      ? 'Now is a good time to sort out a card or a gift.'
+      : 'A little heads-up so you have time to prepare.'
+  };
+};
+
+// Birthday reminder email
+const birthdayReminderTemplate = ({ userName, birthday, daysUntil }) => {
+  const copy = reminderCopy(birthday.name, daysUntil);
+  const details = [];
+
+  if (birthday.relationship) {
+    details.push(`Relationship: ${birthday.relationship}`);
+  }
+  if (birthday.notes) {
+    details.push(`Notes: ${birthday.notes}`);
+  }
+
+  const text = [
+    `Hi ${userName || 'there'},`,
+    '',
+    copy.headline,
+    copy.body,
+    ...(details.length ? ['', ...details] : []),
+    '',
+    `Open Birthday Reminder: ${getAppUrl()}`
+  ].join('\n');
+
+  const html = layout(copy.subject, `
+      <p>Hi ${escapeHtml(userName || 'there')},</p>
+      <h2 style="color:#6b46c1;">${escapeHtml(copy.headline)}</h2>
+      <p>${escapeHtml(copy.body)}</p>
+      ${details.map(line => `<p style="color:#666;margin:4px 0;">${escapeHtml(line)}</p>`).join('')}
+      <p style="margin-top:24px;">
+        <a href="${escapeHtml(getAppUrl())}" style="background:#6b46c1;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;">Open Birthday Reminder</a>
+      </p>`);
+
+  return {
+    subject: copy.subject,
+    text,
+    html
+  };
+};
+
+// Daily or weekly summary of upcoming birthdays
+const digestEmailTemplate = ({ userName, items, windowDays, frequency }) => {
+  const subject = items.length === 1
+    ? `🎂 1 birthday in the next ${windowDays} days`
+    : `🎂 ${items.length} birthdays in the next ${windowDays} days`;
+  const intro = `Here is your ${frequency === 'daily' ? 'daily' : 'weekly'} birthday summary.`;
+
+  const when = (daysUntil) => {
+    if (daysUntil === 0) return 'Today';
+    if (daysUntil === 1) return 'Tomorrow';
+    return `In ${daysUntil} days`;
+  };
+
+  const lines = items.map(({ birthday, nextBirthday, daysUntil, turningAge }) =>
+    `${when(daysUntil)} (${nextBirthday}): ${birthday.name}${turningAge > 0 ? `, turning ${turningAge}` : ''}`
+  );
+
+  const text = [
+    `Hi ${userName || 'there'},`,
+    '',
+    intro,
+    '',
+    ...(lines.length ? lines : ['No birthdays coming up.']),
+    '',
+    `Open Birthday Reminder: ${getAppUrl()}`
+  ].join('\n');
+
+  const html = layout(subject, `
+      <p>Hi ${escapeHtml(userName || 'there')},</p>
+      <p>${escapeHtml(intro)}</p>
+      <table style="width:100%;border-collapse:collapse;margin:16px 0;">
+        ${items.map(({ birthday, nextBirthday, daysUntil, turningAge }) => `
+        <tr>
+          <td style="padding:6px 0;border-bottom:1px solid #eee;color:#6b46c1;white-space:nowrap;">${escapeHtml(when(daysUntil))}</td>
+          <td style="padding:6px 8px;border-bottom:1px solid #eee;">
+            <strong>${escapeHtml(birthday.name)}</strong>${turningAge > 0 ? ` turns ${turningAge}` : ''}
+            ${birthday.relationship ? `<span style="color:#999;">(${escapeHtml(birthday.relationship)})</span>` : ''}
+          </td>
+          <td style="padding:6px 0;border-bottom:1px solid #eee;color:#666;text-align:right;">${escapeHtml(nextBirthday)}</td>
+        </tr>`).join('')}
+      </table>
+      <p style="margin-top:24px;">
+        <a href="${escapeHtml(getAppUrl())}" style="background:#6b46c1;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;">Open Birthday Reminder</a>
+      </p>`,
+    'You are receiving this email because the birthday digest is enabled in');
+
+  return {
+    subject,
+    text,
+    html
+  };
+};
+
+// Any other notification (system messages, updates, ...)
+const notificationEmailTemplate = ({ userName, message }) => {
+  const subject = message.length > 80 ? `${message.slice(0, 77)}...` : message;
+
+  const text = [
+    `Hi ${userName || 'there'},`,
+    '',
+    message,
+    '',
+    `Open Birthday Reminder: ${getAppUrl()}`
+  ].join('\n');
+
+  const html = layout(subject, `
+      <p>Hi ${escapeHtml(userName || 'there')},</p>
+      <p>${escapeHtml(message)}</p>
+      <p style="margin-top:24px;">
+        <a href="${escapeHtml(getAppUrl())}" style="background:#6b46c1;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;">Open Birthday Reminder</a>
+      </p>`,
+    'You are receiving this email because email notifications are enabled in');
+
+  return {
+    subject,
+    text,
+    html
+  };
+};
+
+// Email address verification
+const verificationEmailTemplate = ({ userName, verifyUrl }) => {
+  const subject = 'Please verify your email address';
+
+  const text = [
+    `Hi ${userName || 'there'},`,
+    '',
+    'Thanks for signing up to Birthday Reminder. Please confirm your email address by opening the link below:',
+    '',
+    verifyUrl,
+    '',
+    'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+  ].join('\n');
+
+  const html = layout(subject, `
+      <p>Hi ${escapeHtml(userName || 'there')},</p>
+      <p>Thanks for signing up to Birthday Reminder. Please confirm your email address:</p>
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(verifyUrl)}" style="background:#6b46c1;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;">Verify email</a>
+      </p>
+      <p style="color:#666;">The link expires in 24 hours. If you did not create an account, you can ignore this email.</p>`,
+    'You are receiving this email because this address was used to sign up for');
+
+  return {
+    subject,
+    text,
+    html
+  };
+};
+
+// Password reset link
+const passwordResetTemplate = ({ userName, resetUrl }) => {
+  const subject = 'Reset your Birthday Reminder password';
+
+  const text = [
+    `Hi ${userName || 'there'},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    '',
+    resetUrl,
+    '',
+    'The link expires in 10 minutes. If you did not request a reset, you can ignore this email and your password will stay the same.'
+  ].join('\n');
+
+  const html = layout(subject, `
+      <p>Hi ${escapeHtml(userName || 'there')},</p>
+      <p>We received a request to reset your password.</p>
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(resetUrl)}" style="background:#6b46c1;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;">Choose a new password</a>
+      </p>
+      <p style="color:#666;">The link expires in 10 minutes. If you did not request a reset, you can ignore this email and your password will stay the same.</p>`,
+    'You are receiving this email because a password reset was requested for your account on');
+
+  return {
+    subject,
+    text,
+    html
+  };
+};
+
+// Invitation to a shared birthday list
+const groupInvitationTemplate = ({ inviterName, groupName, role, inviteUrl }) => {
+  const subject = `${inviterName} invited you to "${groupName}" on Birthday Reminder`;
+  const access = role === 'editor' ? 'see and manage' : 'see';
+
+  const text = [
+    'Hi there,',
+    '',
+    `${inviterName} invited you to join "${groupName}", so you can ${access} its birthdays and get reminders for them.`,
+    '',
+    'Open the link below to accept (you can sign up first if you do not have an account yet):',
+    '',
+    inviteUrl,
+    '',
+    'The invitation expires in 7 days. If you were not expecting it, you can ignore this email.'
+  ].join('\n');
+
+  const html = layout(subject, `
+      <p>Hi there,</p>
+      <p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(groupName)}</strong>, so you can ${access} its birthdays and get reminders for them.</p>
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(inviteUrl)}" style="background:#6b46c1;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;">Accept invitation</a>
+      </p>
+      <p style="color:#666;">The invitation expires in 7 days. If you were not expecting it, you can ignore this email.</p>`,
+    'You are receiving this email because a member invited this address to a group on');
+
+  return {
+    subject,
+    text,
+    html
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  layout,
+  getAppUrl,
+  getApiUrl,
+  birthdayReminderTemplate,
+  digestEmailTemplate,
+  notificationEmailTemplate,
+  verificationEmailTemplate,
+  passwordResetTemplate,
+  groupInvitationTemplate
+};
@@ -0,0 +1,106 @@
+// utils/icalendar.js
+// Small RFC 5545 writer for all-day birthday events
+
+// Escape TEXT values (backslash, semicolon, comma and newlines)
+const escapeText = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets (continuation lines start with a space)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length ? 74 : 75;
+
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// { year, month, day } -> YYYYMMDD
+const formatDate = ({ year, month, day }) => `${year}${pad(month)}${pad(day)}`;
+
+// Date -> YYYYMMDDTHHMMSSZ
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Relative trigger for a number of minutes before the event start
+const formatTrigger = (minutesBefore) => {
+  const minutes = Math.abs(Math.round(minutesBefore));
+  return `${minutesBefore >= 0 ? '-' : ''}PT${minutes}M`;
+};
+
+// Build a VCALENDAR document.
+// events: [{ uid, start: {year,month,day}, end: {year,month,day}, summary,
+//            description, rrule, stamp, alarms: [{ minutesBefore, description }] }]
+const buildCalendar = ({ name, description, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Birthday Reminder//Birthdays//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H'
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `RRULE:${event.rrule}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      'TRANSP:TRANSPARENT'
+    );
+
+    for (const alarm of event.alarms || []) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:${formatTrigger(alarm.minutesBefore)}`,
+        `DESCRIPTION:${escapeText(alarm.description)}`,
+        'END:VALARM'
+      );
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,122 @@
+// utils/urlGuard.js
+// Checks for URLs the server sends requests to on a user's behalf (push
+// endpoints, webhooks), so nobody can make it call hosts on its own network
+// or cloud metadata addresses such as 169.254.169.254.
+//
+// ALLOW_PRIVATE_URLS=true turns the checks off (plain http and private hosts
+// allowed), e.g. to try webhooks or the push stand-in against localhost.
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, cloud metadata
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reserved, broadcast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['64:ff9b::', 96],     // NAT64, embeds an IPv4 address
+  ['2002::', 16],        // 6to4, embeds an IPv4 address
+  ['ff00::', 8]          // multicast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_HOSTNAME = /(^localhost$|\.localhost$|\.local$|\.internal$|\.lan$|\.home\.arpa$)/i;
+
+const allowPrivateUrls = () => process.env.ALLOW_PRIVATE_URLS === 'true';
+
+// Whether an IP address (v4 or v6, including IPv4-mapped v6) is not publicly routable
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Why a URL cannot be used as an outgoing request target, or null when it can.
+// Only looks at the text; send the requests with fetchPublicUrl.
+const getOutgoingUrlError = (value, label = 'URL') => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return `${label} must be a valid URL`;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return `${label} must be an http(s) URL`;
+  }
+  if (allowPrivateUrls()) return null;
+
+  if (url.protocol !== 'https:') {
+    return `${label} must use https`;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (PRIVATE_HOSTNAME.test(hostname) || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    return `${label} must point at a public host`;
+  }
+
+  return null;
+};
+
+const PRIVATE_ADDRESS = 'EPRIVATEADDRESS';
+
+// dns.lookup for outgoing connections that refuses private answers. It is the
+// lookup the connection itself uses, so the address checked is the address
+// connected to: a host cannot pass with a public answer and then switch to a
+// private one (DNS rebinding).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!allowPrivateUrls() && (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address)))) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = PRIVATE_ADDRESS;
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+// fetch() for user-supplied URLs: checks the URL, connects only to public
+// addresses and never follows redirects. Throws when the URL is refused.
+const fetchPublicUrl = async (value, options = {}, label = 'URL') => {
+  const urlError = getOutgoingUrlError(value, label);
+  if (urlError) throw new Error(urlError);
+
+  try {
+    return await fetch(value, { ...options, redirect: 'manual', dispatcher: publicAgent });
+  } catch (error) {
+    if (error.cause && error.cause.code === PRIVATE_ADDRESS) {
+      throw new Error(`${label} resolves to a private address`);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  allowPrivateUrls,
+  isPrivateAddress,
+  getOutgoingUrlError,
+  publicLookup,
+  fetchPublicUrl
+};
@@ -0,0 +1,117 @@
+// utils/vcard.js
+// Just enough vCard 3.0/4.0 support for contact birthdays
+// (TEXT escaping and line folding follow the same rules as iCalendar)
+const { escapeText, foldLine } = require('./icalendar');
+
+// Undo vCard text escaping (\n, \, \; and \\)
+const unescapeText = (value) => {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+};
+
+// Parse a single content line: [group.]NAME[;PARAM=VALUE...]:value
+const parseLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const name = rawName.split('.').pop().toUpperCase();
+  const params = {};
+
+  for (const param of rawParams) {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+
+  return { name, params, value: line.slice(colon + 1) };
+};
+
+// Parse vCard text into an array of { properties } objects, one per card.
+// properties maps an upper-case property name to a list of { params, value }.
+const parseVCards = (text) => {
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      current = { properties: {} };
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+      if (current) cards.push(current);
+      current = null;
+    } else if (current) {
+      if (!current.properties[property.name]) current.properties[property.name] = [];
+      current.properties[property.name].push({ params: property.params, value: property.value });
+    }
+  }
+
+  return cards;
+};
+
+// First value of a property, unescaped
+const getValue = (card, name) => {
+  const values = card.properties[name];
+  return values && values.length ? unescapeText(values[0].value) : '';
+};
+
+// Parse a BDAY value. Supports 19900115, 1990-01-15, 1990-01-15T..., and the
+// year-less --0115 / --01-15 forms; returns { year, month, day } (year may be null).
+const parseBirthdayValue = (value) => {
+  const trimmed = (value || '').trim();
+  let match = trimmed.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T.*)?$/);
+  if (match) {
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  }
+
+  match = trimmed.match(/^--(\d{2})-?(\d{2})$/);
+  if (match) {
+    return { year: null, month: Number(match[1]), day: Number(match[2]) };
+  }
+
+  return null;
+};
+
+// Build a vCard 3.0 contact.
+// contact: { name, birthday: 'YYYY-MM-DD', note, extensions: { 'X-NAME': value },
+//            photo: { url } | { data: Buffer, type: 'JPEG' } }
+const formatVCard = (contact) => {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeText(contact.name)}`,
+    `N:;${escapeText(contact.name)};;;`,
+    `BDAY:${contact.birthday}`
+  ];
+
+  if (contact.note) {
+    lines.push(`NOTE:${escapeText(contact.note)}`);
+  }
+
+  for (const [name, value] of Object.entries(contact.extensions || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      lines.push(`${name}:${escapeText(value)}`);
+    }
+  }
+
+  if (contact.photo && contact.photo.url) {
+    lines.push(`PHOTO;VALUE=uri:${contact.photo.url}`);
+  } else if (contact.photo && contact.photo.data) {
+    lines.push(`PHOTO;ENCODING=b;TYPE=${contact.photo.type}:${contact.photo.data.toString('base64')}`);
+  }
+
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  formatVCard,
+  parseVCards,
+  getValue,
+  parseBirthdayValue
+};